@@ -1,6 +1,7 @@
 const AlexaRemote = require('alexa-remote2');
 const tools = require('./common.js');
 const known = require('./known-color-values.js');
+const knownSounds = require('./known-sounds.js');
 const convert = require('./color-convert.js');
 const deltaE = require('./delta-e.js');
 const DEBUG_THIS = tools.DEBUG_THIS;
@@ -33,6 +34,115 @@ function stringForCompare(str) {
 	return String(str).replace(/[^a-z0-9]/ig, '').toLowerCase();
 }
 
+// "Doorbell Chime 2" and "amzn_sfx_doorbell_chime_02" both become "doorbellchime2"
+function soundKey(str) {
+	return stringForCompare(String(str).replace(/^amzn_sfx_/, '').replace(/\d+/g, digits => String(Number(digits))));
+}
+
+function editDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+// smarthome actions and where their value is in the native operation
+const smarthomeValues = {
+	turnOn: null,
+	turnOff: null,
+	setColor: o => o.colorName,
+	setColorTemperature: o => o.colorTemperatureName,
+	setBrightness: o => o.brightness,
+	setPercentage: o => o.percentage,
+	setLockState: o => o.targetLockState && o.targetLockState.value,
+	lockAction: o => o.targetLockState && o.targetLockState.value,
+	setTargetTemperature: o => o.targetTemperature && o.targetTemperature.value,
+};
+
+// reverse of the nativizeNode of the routine node, anything we don't know stays native in a custom node,
+// the echo that was spoken to stays ALEXA_CURRENT_DSN and is only resolved by the routine node when executing
+function denativizeRoutineNode(native) {
+	const custom = { type: 'custom', payload: tools.clone(native) };
+	if (!tools.isObject(native)) return custom;
+
+	switch (native['@type']) {
+		case 'com.amazon.alexa.behaviors.model.Sequence':
+			return denativizeRoutineNode(native.startNode);
+		case 'com.amazon.alexa.behaviors.model.SerialNode':
+		case 'com.amazon.alexa.behaviors.model.ParallelNode':
+			if (!Array.isArray(native.nodesToExecute)) return custom;
+			return {
+				type: 'node',
+				payload: {
+					type: native['@type'].endsWith('SerialNode') ? 'serial' : 'parallel',
+					children: native.nodesToExecute.map(denativizeRoutineNode),
+				}
+			};
+	}
+
+	const payload = typeof native.operationPayload === 'string' ? tools.tryParseJson(native.operationPayload) : native.operationPayload;
+	if (!tools.isObject(payload)) return custom;
+
+	switch (native.type) {
+		case 'Alexa.Speak':
+			if (!tools.matches(payload, { textToSpeak: '', deviceSerialNumber: '' })) return custom;
+			return { type: 'speak', payload: { type: 'regular', text: payload.textToSpeak, devices: [payload.deviceSerialNumber] } };
+		case 'Alexa.DeviceControls.Volume': {
+			const value = Number(payload.value);
+			if (Number.isNaN(value) || !tools.matches(payload, { deviceSerialNumber: '' })) return custom;
+			return { type: 'volume', payload: { value: value, devices: [payload.deviceSerialNumber] } };
+		}
+		case 'Alexa.System.Wait': {
+			const time = Number(payload.waitTimeInSeconds);
+			if (Number.isNaN(time)) return custom;
+			return { type: 'wait', payload: { time: time } };
+		}
+		case 'Alexa.SmartHome.Batch': {
+			if (!tools.matches(payload, { target: '', operations: [{ type: '' }] })) return custom;
+			if (!payload.operations.every(o => smarthomeValues.hasOwnProperty(o.type))) return custom;
+
+			const children = payload.operations.map(o => {
+				const getValue = smarthomeValues[o.type];
+				const node = { type: 'smarthome', payload: { entity: payload.target, action: o.type } };
+				if (getValue) node.payload.value = getValue(o);
+				if (o.type === 'setTargetTemperature' && o.targetTemperature.scale) node.payload.scale = o.targetTemperature.scale.toLowerCase();
+				return node;
+			});
+
+			return children.length === 1 ? children[0] : { type: 'node', payload: { type: 'parallel', children: children } };
+		}
+		default:
+			return custom;
+	}
+}
+
+const weekDayNames = { MO: 'Monday', TU: 'Tuesday', WE: 'Wednesday', TH: 'Thursday', FR: 'Friday', SA: 'Saturday', SU: 'Sunday' };
+
+// "FREQ=WEEKLY;BYDAY=MO,FR" => "on Monday, Friday"
+function describeRecurrenceRule(rule) {
+	if (typeof rule !== 'string' || !rule) return 'once';
+	const by = (key) => { const match = rule.match(new RegExp(`${key}=([^;]+)`)); return match ? match[1].split(',') : []; };
+	const [frequency] = by('FREQ');
+
+	switch (frequency) {
+		case 'DAILY': return 'daily';
+		case 'WEEKLY': {
+			const days = weekDays.filter(day => by('BYDAY').includes(day));
+			if (days.length === 0 || days.length === 7) return 'daily';
+			if (days.join() === 'MO,TU,WE,TH,FR') return 'on weekdays';
+			if (days.join() === 'SA,SU') return 'on weekends';
+			return `on ${days.map(day => weekDayNames[day]).join(', ')}`;
+		}
+		case 'MONTHLY': return `monthly on day ${by('BYMONTHDAY').join(', ')}`;
+		default: return String(frequency || rule).toLowerCase();
+	}
+}
+
 function ensureMatch(response, template) {
 	if (!tools.matches(response, template)) throw new Error(`unexpected response: "${JSON.stringify(response)}"`);
 }
@@ -44,6 +154,180 @@ function isHexColor(str) {
 	return true;
 }
 
+// how long after its trigger time a notification that is still on is taken as ringing,
+// past that snoozing or dismissing it must not stop whatever else the echo is playing
+const ringingWindow = 10 * 60 * 1000;
+
+// iso week day order, amazon counts monday as 1 in "XXXX-WXX-1"
+const weekDays = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+function parseWeekDay(day) {
+	const index = typeof day === 'number' ? day - 1 : weekDays.indexOf(String(day).trim().slice(0, 2).toUpperCase());
+	if (!weekDays[index]) throw new Error(`invalid week day: "${day}"`);
+	return weekDays[index];
+}
+
+// rRuleData of one-off notifications, reminders carry all of its fields set to null
+function oneOffRRuleData(type) {
+	if (type !== 'Reminder') return null;
+	return {
+		byMonthDays: null,
+		byWeekDays: null,
+		flexibleRecurringPatternType: null,
+		frequency: null,
+		intervals: null,
+		nextTriggerTimes: null,
+		notificationTimes: null,
+		recurEndDate: null,
+		recurEndTime: null,
+		recurStartDate: null,
+		recurStartTime: null,
+		recurrenceRules: null
+	};
+}
+
+// recurrence like "never", "daily", "weekdays", "weekends", "weekly", "monthly",
+// { type: 'weekly', days: ['mon', 'fri'] } or { type: 'monthly', days: [1, 15] }
+// returns the native recurringPattern and rRuleData for a notification of that type at the given time
+function nativizeRecurrence(recurrence, time, notificationType) {
+	if (!recurrence || recurrence === 'never') return { recurringPattern: null, rRuleData: oneOffRRuleData(notificationType) };
+
+	const date = new Date(time);
+	const { type, days } = typeof recurrence === 'string' ? { type: recurrence } : recurrence;
+	const [, , , h, m, s, u] = tools.dateToStringPieces(date);
+	const rule = (frequency, by) => `FREQ=${frequency};${by ? by + ';' : ''}BYHOUR=${date.getHours()};BYMINUTE=${date.getMinutes()};BYSECOND=${date.getSeconds()};INTERVAL=1;`;
+	const rRuleData = (frequency, flexible, byWeekDays, byMonthDays, by) => ({
+		byMonthDays: byMonthDays,
+		byWeekDays: byWeekDays,
+		flexibleRecurringPatternType: flexible,
+		frequency: frequency,
+		intervals: [1],
+		nextTriggerTimes: null,
+		notificationTimes: [`${h}:${m}:${s}.${u}`],
+		recurEndDate: null,
+		recurEndTime: null,
+		recurStartDate: null,
+		recurStartTime: null,
+		recurrenceRules: [rule(frequency, by)]
+	});
+
+	switch (String(type).toLowerCase()) {
+		case 'daily': return {
+			recurringPattern: 'P1D',
+			rRuleData: rRuleData('DAILY', 'EVERY_X_DAYS', [], [])
+		};
+		case 'weekdays': return {
+			recurringPattern: 'XXXX-WD',
+			rRuleData: rRuleData('WEEKLY', 'EVERY_X_WEEKS', weekDays.slice(0, 5), [], `BYDAY=${weekDays.slice(0, 5).join(',')}`)
+		};
+		case 'weekends': return {
+			recurringPattern: 'XXXX-WE',
+			rRuleData: rRuleData('WEEKLY', 'EVERY_X_WEEKS', weekDays.slice(5), [], `BYDAY=${weekDays.slice(5).join(',')}`)
+		};
+		case 'weekly': {
+			const list = Array.isArray(days) ? days : days ? [days] : [(date.getDay() + 6) % 7 + 1];
+			const byWeekDays = Array.from(new Set(list.map(parseWeekDay))).sort((a, b) => weekDays.indexOf(a) - weekDays.indexOf(b));
+			if (byWeekDays.length === 0) throw new Error('weekly recurrence needs at least one day');
+			return {
+				recurringPattern: byWeekDays.length === 1 ? `XXXX-WXX-${weekDays.indexOf(byWeekDays[0]) + 1}` : null,
+				rRuleData: rRuleData('WEEKLY', 'EVERY_X_WEEKS', byWeekDays, [], `BYDAY=${byWeekDays.join(',')}`)
+			};
+		}
+		case 'monthly': {
+			const list = Array.isArray(days) ? days : days ? [days] : [date.getDate()];
+			const byMonthDays = Array.from(new Set(list.map(Number))).sort((a, b) => a - b);
+			if (byMonthDays.length === 0) throw new Error('monthly recurrence needs at least one day');
+			for (const day of byMonthDays) if (!Number.isInteger(day) || day < 1 || day > 31) throw new Error(`invalid month day: "${day}"`);
+			return {
+				recurringPattern: null,
+				rRuleData: rRuleData('MONTHLY', 'EVERY_X_MONTHS', [], byMonthDays, `BYMONTHDAY=${byMonthDays.join(',')}`)
+			};
+		}
+		default: throw new Error(`invalid recurrence: "${JSON.stringify(recurrence)}"`);
+	}
+}
+
+// moves the time of day of existing recurrence rules to the given time
+function retimeRecurrence(rRuleData, time) {
+	if (!tools.matches(rRuleData, { recurrenceRules: [''] })) return rRuleData;
+	const date = new Date(time);
+	const [, , , h, m, s, u] = tools.dateToStringPieces(date);
+	return Object.assign({}, rRuleData, {
+		notificationTimes: [`${h}:${m}:${s}.${u}`],
+		recurrenceRules: rRuleData.recurrenceRules.map(rule => rule
+			.replace(/BYHOUR=\d+/, `BYHOUR=${date.getHours()}`)
+			.replace(/BYMINUTE=\d+/, `BYMINUTE=${date.getMinutes()}`)
+			.replace(/BYSECOND=\d+/, `BYSECOND=${date.getSeconds()}`)
+		)
+	});
+}
+
+// reverse of nativizeRecurrence, null for one-off notifications
+function denativizeRecurrence(notification) {
+	const pattern = notification.recurringPattern;
+	const rRuleData = notification.rRuleData || {};
+	const rule = rRuleData.recurrenceRules && rRuleData.recurrenceRules[0] || '';
+	const by = (key) => { const match = rule.match(new RegExp(`${key}=([^;]+)`)); return match ? match[1].split(',') : []; };
+	const weekly = typeof pattern === 'string' && pattern.match(/^XXXX-WXX-(\d)$/);
+
+	if (pattern === 'P1D' || rule.includes('FREQ=DAILY')) return 'daily';
+	if (pattern === 'XXXX-WD') return 'weekdays';
+	if (pattern === 'XXXX-WE') return 'weekends';
+	if (weekly) return { type: 'weekly', days: [weekDays[Number(weekly[1]) - 1]] };
+	if (rule.includes('FREQ=WEEKLY')) return { type: 'weekly', days: by('BYDAY').length !== 0 ? by('BYDAY') : rRuleData.byWeekDays || [] };
+	if (rule.includes('FREQ=MONTHLY')) return { type: 'monthly', days: by('BYMONTHDAY').length !== 0 ? by('BYMONTHDAY').map(Number) : rRuleData.byMonthDays || [] };
+	return null;
+}
+
+// notifications with the same key would ring the same way on the same device
+function notificationDuplicateKey(notification) {
+	const timer = notification.type === 'Timer';
+	const label = stringForCompare((timer ? notification.timerLabel : notification.reminderLabel) || '');
+	const recurrence = timer ? null : denativizeRecurrence(notification);
+	const date = new Date(Number(notification.alarmTime));
+	const time = timer ? '' : recurrence
+		? `${date.getHours()}:${date.getMinutes()} ${JSON.stringify(recurrence)}`
+		: Math.floor(date.getTime() / 60000);
+
+	return [notification.type, notification.deviceSerialNumber, label, time].join('|');
+}
+
+// parameters every operation on an echo takes, they are filled in by the routine node
+const deviceParameters = ['deviceType', 'deviceSerialNumber', 'customerId', 'locale'];
+
+function parameterOptions(parameter) {
+	const options = parameter && parameter.constraint && parameter.constraint.options;
+	if (!Array.isArray(options)) return [];
+	return options.map(o => [o.data, o.displayName || o.data]);
+}
+
+// definitions like { id: 'Alexa.Weather.Play', skillId, displayName, parameters: [{ name, constraint: { options: [{ data, displayName }]}}]}
+function buildOperationCatalogue(definitions) {
+	const operations = definitions
+		.filter(definition => tools.matches(definition, { id: '' }))
+		.map(definition => ({
+			type: definition.id,
+			skillId: definition.skillId || null,
+			label: definition.displayName || definition.id,
+			parameters: (definition.parameters || [])
+				.filter(parameter => !deviceParameters.includes(parameter.name))
+				.reduce((o, parameter) => (o[parameter.name] = parameterOptions(parameter), o), {}),
+		}));
+
+	const options = (type, name) => {
+		const operation = operations.find(o => o.type === type);
+		return operation && operation.parameters[name] || [];
+	};
+
+	return {
+		operations: operations,
+		// operations that need nothing but a device can be played as prompts
+		prompts: operations.filter(o => Object.keys(o.parameters).length === 0).map(o => [o.type, o.label]),
+		phrases: options('Alexa.CannedTts.Speak', 'cannedTtsStringId'),
+		sounds: options('Alexa.Sound', 'soundStringId'),
+	};
+}
+
 class AlexaRemoteExt extends AlexaRemote {
 	constructor() {
 		super(...arguments);
@@ -107,14 +391,18 @@ class AlexaRemoteExt extends AlexaRemote {
 		this.routineByIdExt = new Map();
 		this.routineByUtteranceExt = new Map();
 		this.musicProvidersExt = [];
+		this.behaviourDefinitionsExt = [];
+		this.operationsExt = buildOperationCatalogue([]);
 		this.deviceByIdExt = new Map();
 		this.deviceByNameExt = new Map();
 		this.bluetoothStateByIdExt = new Map();
 		this.wakeWordByIdExt = new Map();
 		this.notificationByIdExt = new Map();
-		this.notificationByNameExt = new Map();
+		this.notificationsByNameExt = new Map();
+		this.notificationReceivedTimeExt = new WeakMap();
 		this.notificationUpdatesExt = [];
 		this.notificationUpdatesRunning = false;
+		this.lastActivityExt = null;
 
 		this.colorNamesExt = new Set();
 		this.colorNameToLabelExt = new Map();
@@ -169,6 +457,13 @@ class AlexaRemoteExt extends AlexaRemote {
 			this.updateNotificationsExt(payload.eventType, payload.notificationId, String(payload.notificationVersion));
 		});
 
+		this.on('ws-device-activity', payload => {
+			const activity = this.parseActivityExt(payload);
+			// the event is about something that just happened
+			if (!activity.timestamp) activity.timestamp = Date.now();
+			this.setLastActivityExt(activity);
+		});
+
 		return value;
 	}
 
@@ -192,11 +487,15 @@ class AlexaRemoteExt extends AlexaRemote {
 			handleNonCritical(this.initMusicProvidersExt(), 'musicProviders', 'music providers'),
 		];
 
+		// colors and operations are both built from the behaviour definitions, they are only fetched once
+		const definitions = this.initBehaviourDefinitionsExt();
+		initPromises.push(handleNonCritical(definitions.then(() => this.initOperationsExt(false)), 'operations'));
+
 		// needs to happen before initSmarthomeColors because it accesses smarthome devices
 		await handleNonCritical(this.initSmarthomeSimplifiedExt(), 'smarthome', 'smarthome devices');
 
 		await Promise.all(initPromises.concat([
-			handleNonCritical(this.initSmarthomeColorsExt(), 'colors', 'smarthome colors')
+			handleNonCritical(definitions.then(() => this.initSmarthomeColorsExt(false)), 'colors', 'smarthome colors')
 		]));
 
 		let echoDevice;
@@ -325,7 +624,7 @@ class AlexaRemoteExt extends AlexaRemote {
 		}
 	}
 
-	async initSmarthomeColorsExt() {
+	async initSmarthomeColorsExt(fresh = true) {
 		let colorNamesRequired = false;
 		for (const entity of this.smarthomeSimplifiedByEntityIdExt.values()) {
 			if (entity.actions.includes('setColor')) {
@@ -347,7 +646,8 @@ class AlexaRemoteExt extends AlexaRemote {
 		}
 
 		//throw new Error('TESTING');
-		const definitions = await this.getSmarthomeBehaviourActionDefinitionsPromise();
+		if (fresh) await this.initBehaviourDefinitionsExt();
+		const definitions = this.behaviourDefinitionsExt;
 		//const definitions = [];
 
 		//tools.log({simplified: this.smarthomeSimplifiedByEntityId});
@@ -442,7 +742,7 @@ class AlexaRemoteExt extends AlexaRemote {
 		//throw new Error('TESTING');
 		const routines = await this.getAutomationRoutinesPromise();
 		this.routineByIdExt = new Map(routines.map(o => [o.automationId, o]));
-		this.routineByUtteranceExt = new Map(routines.filter(o => o.triggers && o.triggers[0] && o.triggers[0].type === 'CustomUtterance').map(o => [stringForCompare(o.triggers[0].payload.utterance), o]));
+		this._routineChange();
 	}
 
 	async initMusicProvidersExt() {
@@ -450,6 +750,22 @@ class AlexaRemoteExt extends AlexaRemote {
 		this.musicProvidersExt = await this.getMusicProvidersPromise();
 	}
 
+	async initBehaviourDefinitionsExt() {
+		const definitions = await this.getSmarthomeBehaviourActionDefinitionsPromise();
+		if (!Array.isArray(definitions)) throw new Error(`unexpected response: "${JSON.stringify(definitions)}"`);
+		this.behaviourDefinitionsExt = definitions;
+	}
+
+	// everything the routine editor can offer, discovered so new operations work without an update
+	async initOperationsExt(fresh = true) {
+		if (fresh) await this.initBehaviourDefinitionsExt();
+		this.operationsExt = buildOperationCatalogue(this.behaviourDefinitionsExt);
+	}
+
+	findOperationExt(type) {
+		return this.operationsExt.operations.find(o => o.type === type);
+	}
+
 	// short circuit default initializers
 	prepare(callback) { callback && callback(); }
 	initDeviceState(callback) { callback && callback(); }
@@ -475,6 +791,26 @@ class AlexaRemoteExt extends AlexaRemote {
 		if (found = this.routineByUtteranceExt.get(stringForCompare(id))) return found;
 	}
 
+	// the account has no main device, so it is the first echo that is online or any echo
+	findPrimaryEchoExt() {
+		const echos = Array.from(this.deviceByIdExt.values()).filter(device => device.deviceFamily === 'ECHO');
+		return echos.find(device => device.online) || echos[0] || null;
+	}
+
+	// the echo a routine runs on when none is given, the one its trigger belongs to or the primary echo
+	findRoutineDeviceExt(routine) {
+		const found = this.findRoutineExt(routine);
+		const triggers = found && Array.isArray(found.triggers) ? found.triggers : [];
+
+		for (const trigger of triggers) {
+			const serialNumber = tools.isObject(trigger.payload) && trigger.payload.deviceSerialNumber;
+			const device = serialNumber && this.find(serialNumber);
+			if (device) return device;
+		}
+
+		return this.findPrimaryEchoExt();
+	}
+
 	async initAccountExt() {
 		return this.getAccountPromise().then(response => {
 			for (const account of response) {
@@ -494,6 +830,14 @@ class AlexaRemoteExt extends AlexaRemote {
 		}
 		this.emit('change-device');
 	}
+
+	_routineChange() {
+		this.routineByUtteranceExt = new Map(Array.from(this.routineByIdExt.values())
+			.filter(o => o.triggers && o.triggers[0] && o.triggers[0].type === 'CustomUtterance')
+			.map(o => [stringForCompare(o.triggers[0].payload.utterance), o]));
+
+		this.emit('change-routine');
+	}
 	async initDevicesExt() {
 		return this.getDevicesPromise().then(response => {
 			this.deviceByIdExt = new Map(response.devices.map(o => [o.serialNumber, o]));
@@ -502,9 +846,15 @@ class AlexaRemoteExt extends AlexaRemote {
 	}
 
 	_notificationChange() {
-		this.notificationByNameExt = new Map(Array.from(this.notificationByIdExt.values())
-			.filter(o => o.type === 'Timer' ? o.timerLabel : o.reminderLabel)
-			.map(o => [stringForCompare(o.type === 'Timer' ? o.timerLabel : o.reminderLabel), o]));
+		// several devices can have notifications with the same label
+		this.notificationsByNameExt = new Map();
+		for (const notification of this.notificationByIdExt.values()) {
+			const label = notification.type === 'Timer' ? notification.timerLabel : notification.reminderLabel;
+			if (!label) continue;
+			const key = stringForCompare(label);
+			if (!this.notificationsByNameExt.has(key)) this.notificationsByNameExt.set(key, []);
+			this.notificationsByNameExt.get(key).push(notification);
+		}
 
 		this.emit('change-notification');
 	}
@@ -512,6 +862,8 @@ class AlexaRemoteExt extends AlexaRemote {
 		//throw new Error('TESTING');
 		return this.getNotificationsPromise().then(response => {
 			if (!tools.matches(response, { notifications: [{ id: '' }] })) throw new Error(`unexpected notifications response: "${JSON.stringify(response)}"`);
+			const now = Date.now();
+			for (const notification of response.notifications) this.notificationReceivedTimeExt.set(notification, now);
 			this.notificationByIdExt = new Map(response.notifications.map(o => [o.notificationIndex, o]));
 			this._notificationChange();
 		});
@@ -847,24 +1199,65 @@ class AlexaRemoteExt extends AlexaRemote {
 		});
 	}
 
-	findNotificationExt(id) {
+	// id can be a notificationIndex or a label, device narrows a label down to a device or group
+	// throws if the label matches notifications on more than one device
+	findNotificationExt(id, device) {
 		let found;
 		if (found = this.notificationByIdExt.get(id)) return found;
-		if (found = this.notificationByNameExt.get(stringForCompare(id))) return found;
+
+		let candidates = this.notificationsByNameExt.get(stringForCompare(id)) || [];
+		if (device && device !== 'ALEXA_ALL_DSN') {
+			const serials = this.findSerialNumbersExt(device);
+			candidates = candidates.filter(o => serials.has(o.deviceSerialNumber));
+		}
+
+		if (candidates.length > 1) {
+			const list = candidates.map(o => {
+				const owner = this.find(o.deviceSerialNumber);
+				return `"${o.notificationIndex}" on "${owner && owner.accountName || o.deviceSerialNumber}"`;
+			});
+			throw new Error(`ambiguous notification: "${id}" matches ${list.join(', ')}, specify a device or use the id`);
+		}
+
+		return candidates[0];
+	}
+
+	// notification can be a notification object, a notificationIndex, a label or { device, label }
+	resolveNotificationExt(notification) {
+		if (tools.matches(notification, { notificationIndex: '' })) return notification;
+
+		const found = tools.matches(notification, { label: '' })
+			? this.findNotificationExt(notification.label, notification.device)
+			: this.findNotificationExt(notification);
+
+		if (!found) throw new Error(`notification not found: "${typeof notification === 'object' ? JSON.stringify(notification) : notification}"`);
+		return found;
+	}
+
+	// serial numbers of a device or of a group and its members
+	findSerialNumbersExt(device) {
+		const found = this.find(device);
+		if (!found) throw new Error(`device not found: "${device}"`);
+		return new Set([found.serialNumber].concat(found.clusterMembers || []));
 	}
 
 	// type like "Reminder" or "Alarm" or "Timer"
 	// status like "ON" or "OFF" or "PAUSED"
-	createNotificationObjectExt(serialOrName, type, label, time, status = 'ON', sound = null) {
+	// recurrence like "daily" or { type: 'weekly', days: ['mon', 'fri'] } (see nativizeRecurrence)
+	// musicEntity as returned by createMusicEntityExt
+	createNotificationObjectExt(serialOrName, type, label, time, status = 'ON', sound = null, recurrence = null, musicEntity = null) {
 		const device = this.find(serialOrName);
 		if (!device) throw new Error('device not found');
 		if (!['Reminder', 'Alarm', 'Timer'].includes(type)) throw new Error(`invalid notification type: "${type}"`);
+		if (musicEntity && type !== 'Alarm') throw new Error('only alarms can play music');
 		if (!['ON', 'OFF', 'PAUSED'].includes(status)) throw new Error(`invalid notification status: "${status}"`);
 		const timer = type === 'Timer';
 		time = Number(timer ? tools.parseDuration(time) : new Date(time).getTime());
 		if (Number.isNaN(time)) throw new Error('invalid date/time');
 		const now = Date.now();
 		const [Y, M, D, h, m, s, u] = timer ? [] : tools.dateToStringPieces(new Date(time));
+		if (timer && recurrence && recurrence !== 'never') throw new Error('timers can not be recurring');
+		const { recurringPattern, rRuleData } = nativizeRecurrence(timer ? null : recurrence, time, type);
 
 		return {
 			"alarmTime": timer ? 0 : time,
@@ -877,27 +1270,14 @@ class AlexaRemoteExt extends AlexaRemote {
 			"id": `${device.deviceType}-${device.serialNumber}-${type.toLowerCase()}-${now}`,
 			"lastUpdatedDate": now,
 			"musicAlarmId": null,
-			"musicEntity": null,
+			"musicEntity": musicEntity,
 			"notificationIndex": `${type.toLowerCase()}-${now}`,
 			"originalDate": timer ? null : `${Y}-${M}-${D}`,
 			"originalTime": timer ? null : `${h}:${m}:${s}.${u}`,
 			"personProfile": null,
 			"provider": null,
-			"rRuleData": type !== 'Reminder' ? null : {
-				"byMonthDays": null,
-				"byWeekDays": null,
-				"flexibleRecurringPatternType": null,
-				"frequency": null,
-				"intervals": null,
-				"nextTriggerTimes": null,
-				"notificationTimes": null,
-				"recurEndDate": null,
-				"recurEndTime": null,
-				"recurStartDate": null,
-				"recurStartTime": null,
-				"recurrenceRules": null
-			},
-			"recurringPattern": null,
+			"rRuleData": rRuleData,
+			"recurringPattern": recurringPattern,
 			"remainingTime": timer ? time : 0,
 			"reminderLabel": timer ? null : label,
 			"skillInfo": null,
@@ -919,14 +1299,18 @@ class AlexaRemoteExt extends AlexaRemote {
 		};
 	}
 
-	changeNotificationObjectExt(notification, label, time, status, sound) {
+	// recurrence is kept if undefined or empty, "never" makes the notification a one-off
+	// musicEntity is kept if undefined, null turns a music alarm back into a sound alarm
+	changeNotificationObjectExt(notification, label, time, status, sound, recurrence, musicEntity) {
 		if (status && !['ON', 'OFF', 'PAUSED'].includes(status)) throw new Error(`invalid notification status: "${status}"`);
+		if (musicEntity && notification.type !== 'Alarm') throw new Error('only alarms can play music');
 
 		const timer = notification.type === 'Timer';
 		if (time) {
 			time = Number(timer ? tools.parseDuration(time) : new Date(time).getTime());
 			if (Number.isNaN(time)) throw new Error('invalid date/time');
 		}
+		if (timer && recurrence && recurrence !== 'never') throw new Error('timers can not be recurring');
 
 		if (timer) {
 			if (status !== notification.status) notification.triggerTime = Date.now();
@@ -938,7 +1322,6 @@ class AlexaRemoteExt extends AlexaRemote {
 			const [Y, M, D, h, m, s, u] = tools.dateToStringPieces(new Date(time));
 			notification.reminderIndex = null;
 			notification.isSaveInFlight = true;
-			notification.isRecurring = !!notification.recurringPattern; // ?? i guess....
 			if (status) notification.status = status;
 			if (label) notification.reminderLabel = label;
 			if (time) {
@@ -946,44 +1329,173 @@ class AlexaRemoteExt extends AlexaRemote {
 				notification.originalDate = `${Y}-${M}-${D}`;
 				notification.originalTime = `${h}:${m}:${s}.${u}`;
 			}
+
+			if (recurrence) {
+				const { recurringPattern, rRuleData } = nativizeRecurrence(recurrence, notification.alarmTime, notification.type);
+				notification.recurringPattern = recurringPattern;
+				notification.rRuleData = rRuleData;
+			}
+			else if (time) {
+				// keep the recurrence but move it to the new time of day
+				notification.rRuleData = retimeRecurrence(notification.rRuleData, time);
+			}
+			notification.isRecurring = !!(notification.recurringPattern || notification.rRuleData && notification.rRuleData.recurrenceRules); // ?? i guess....
 		}
 
 		if (status) notification.status = status;
 		if (sound) notification.sound = sound;
+		if (musicEntity !== undefined) {
+			notification.musicEntity = musicEntity;
+			notification.musicAlarmId = null;
+		}
 	}
 
-	async createNotificationExt(serialOrName, type, label, time, status, sound) {
-		const notification = this.createNotificationObjectExt(serialOrName, type, label, time, status, sound);
+	// music like { provider: 'SPOTIFY', search: 'morning playlist', locale: 'en-US' }
+	// provider can be an id or a display name from musicProvidersExt
+	async createMusicEntityExt(serialOrName, music) {
+		if (!tools.matches(music, { provider: '', search: '' })) throw new Error(`invalid music: "${JSON.stringify(music)}"`);
+		const device = await this.findAsync(serialOrName);
+		if (this.musicProvidersExt.length === 0) await this.initMusicProvidersExt();
+
+		const provider = this.musicProvidersExt.find(o => o.id === music.provider)
+			|| this.musicProvidersExt.find(o => stringForCompare(o.displayName) === stringForCompare(music.provider));
+		if (!provider) throw new Error(`music provider not found: "${music.provider}"`);
+		if (!provider.supportedOperations.includes('Alexa.Music.PlaySearchPhrase')) {
+			throw new Error(`music provider does not support search phrases: "${provider.displayName}"`);
+		}
+
+		// same check the routine node does for its music action
+		const native = await this.validateRoutineNodeExt({
+			type: 'Alexa.Music.PlaySearchPhrase',
+			operationPayload: JSON.stringify({
+				deviceType: device.deviceType,
+				deviceSerialNumber: device.serialNumber,
+				locale: music.locale || 'en-US',
+				customerId: device.deviceOwnerCustomerId,
+				musicProviderId: provider.id,
+				searchPhrase: music.search,
+			}),
+		});
+
+		const payload = typeof native.operationPayload === 'string' ? JSON.parse(native.operationPayload) : native.operationPayload || {};
+		return {
+			"entityId": null,
+			"entityType": null,
+			"providerId": provider.id,
+			"searchPhrase": payload.sanitizedSearchPhrase || payload.searchPhrase || music.search,
+		};
+	}
+
+	async createNotificationExt(serialOrName, type, label, time, status, sound, recurrence, music) {
+		if (music && music !== 'none' && type !== 'Alarm') throw new Error('only alarms can play music');
+		const musicEntity = music && music !== 'none' ? await this.createMusicEntityExt(serialOrName, music) : null;
+		const notification = this.createNotificationObjectExt(serialOrName, type, label, time, status, sound, recurrence, musicEntity);
 
 		return this.httpsGetPromise(`/api/notifications/createReminder`, {
 			data: JSON.stringify(notification),
 			method: 'PUT',
 		}).then(notification => {
+			this.notificationReceivedTimeExt.set(notification, Date.now());
 			this.notificationByIdExt.set(notification.notificationIndex, notification);
 			this._notificationChange();
 			return notification;
 		});
 	}
 
-	async changeNotificationExt(notification, label, time, status, sound) {
-		const found = typeof notification === 'object' ? notification : this.findNotificationExt(notification);
-		if (!found) throw new Error(`notification not found: "${notification}"`);
+	// music "none" removes the music from an alarm
+	async changeNotificationExt(notification, label, time, status, sound, recurrence, music) {
+		const found = this.resolveNotificationExt(notification);
+		const musicEntity = music === 'none' ? null : music ? await this.createMusicEntityExt(found.deviceSerialNumber, music) : undefined;
 		const changed = tools.clone(found);
-		this.changeNotificationObjectExt(changed, label, time, status, sound);
+		this.changeNotificationObjectExt(changed, label, time, status, sound, recurrence, musicEntity);
+		return this.putNotificationExt(changed);
+	}
 
+	async putNotificationExt(changed) {
 		return this.httpsGetPromise(`/api/notifications/${changed.id}`, {
 			data: JSON.stringify(changed),
 			method: 'PUT',
 		}).then(notification => {
+			this.notificationReceivedTimeExt.set(notification, Date.now());
 			this.notificationByIdExt.set(notification.notificationIndex, notification);
 			this._notificationChange();
 			return notification;
 		});
 	}
 
+	isNotificationRingingExt(notification) {
+		const time = this.getNotificationTriggerTimeExt(notification);
+		const now = Date.now();
+		return !!time && time <= now && now - time < ringingWindow;
+	}
+
+	async stopRingingExt(device) {
+		const found = await this.findAsync(device);
+		return this.stopDevicesExt([found.serialNumber]);
+	}
+
+	// stops what the devices are saying, ringing or playing, ALEXA_ALL_DSN is every echo
+	async stopDevicesExt(serials) {
+		const devices = new Map();
+		for (const serial of serials) {
+			const found = serial === 'ALEXA_ALL_DSN'
+				? Array.from(this.deviceByIdExt.values()).filter(device => device.deviceFamily === 'ECHO')
+				: [this.find(serial)];
+			for (const device of found) if (device) devices.set(device.serialNumber, device);
+		}
+		if (devices.size === 0) return;
+
+		const list = Array.from(devices.values());
+		return this.sendSequenceNodeExt({
+			'@type': 'com.amazon.alexa.behaviors.model.OpaquePayloadOperationNode',
+			type: 'Alexa.DeviceControls.Stop',
+			skillId: 'amzn1.ask.1p.alexadevicecontrols',
+			operationPayload: {
+				customerId: list[0].deviceOwnerCustomerId,
+				devices: list.map(device => ({
+					deviceSerialNumber: device.serialNumber,
+					deviceType: device.deviceType,
+				})),
+				isAssociatedDevice: false
+			},
+			name: null
+		});
+	}
+
+	// snoozes an alarm or reminder for some minutes, stops it first if it is ringing
+	async snoozeNotificationExt(notification, minutes = 9) {
+		const found = this.resolveNotificationExt(notification);
+		if (found.type === 'Timer') throw new Error('timers can not be snoozed');
+		const duration = Number(minutes) * 60 * 1000;
+		if (Number.isNaN(duration) || duration <= 0) throw new Error(`invalid snooze duration: "${minutes}"`);
+
+		if (this.isNotificationRingingExt(found)) await this.stopRingingExt(found.deviceSerialNumber);
+
+		const changed = tools.clone(found);
+		changed.status = 'ON';
+		changed.snoozedToTime = Date.now() + duration;
+		return this.putNotificationExt(changed);
+	}
+
+	// stops a ringing notification and turns it off,
+	// recurring ones stay on for their next occurrence and timers are removed
+	async dismissNotificationExt(notification) {
+		const found = this.resolveNotificationExt(notification);
+
+		if (this.isNotificationRingingExt(found)) await this.stopRingingExt(found.deviceSerialNumber);
+
+		if (found.type === 'Timer') {
+			return this.deleteNotificationExt(found);
+		}
+
+		const changed = tools.clone(found);
+		changed.snoozedToTime = null;
+		if (!this.isNotificationRecurringExt(found)) changed.status = 'OFF';
+		return this.putNotificationExt(changed);
+	}
+
 	async deleteNotificationExt(notification) {
-		const found = typeof notification === 'object' ? notification : this.findNotificationExt(notification);
-		if (!found) throw new Error(`notification not found: "${notification}"`);
+		const found = this.resolveNotificationExt(notification);
 
 		return this.httpsGetPromise(`/api/notifications/${found.id}`, {
 			data: JSON.stringify(found),
@@ -997,6 +1509,424 @@ class AlexaRemoteExt extends AlexaRemote {
 		});
 	}
 
+	isNotificationRecurringExt(notification) {
+		return !!(notification.recurringPattern || notification.rRuleData && notification.rRuleData.recurrenceRules);
+	}
+
+	// the next time a recurring notification rings after the given time, amazon only sends it once the notification changes
+	getNextNotificationTriggerTimeExt(notification, after = Date.now()) {
+		if (!this.isNotificationRecurringExt(notification) || notification.status !== 'ON') return null;
+		const base = new Date(Number(notification.alarmTime));
+		if (Number.isNaN(base.getTime())) return null;
+
+		const rule = tools.matches(notification.rRuleData, { recurrenceRules: [''] }) ? notification.rRuleData.recurrenceRules[0] : null;
+		const by = (key) => { const match = rule && rule.match(new RegExp(`${key}=([^;]+)`)); return match ? match[1].split(',') : []; };
+		const pattern = String(notification.recurringPattern || '');
+
+		const matchesDay = (date) => {
+			const day = weekDays[(date.getDay() + 6) % 7];
+			if (rule) switch (by('FREQ')[0]) {
+				case 'DAILY': return true;
+				case 'WEEKLY': return by('BYDAY').length === 0 ? date.getDay() === base.getDay() : by('BYDAY').includes(day);
+				case 'MONTHLY': return by('BYMONTHDAY').map(Number).includes(date.getDate());
+				default: return false;
+			}
+			if (pattern === 'P1D') return true;
+			if (pattern === 'XXXX-WD') return weekDays.indexOf(day) < 5;
+			if (pattern === 'XXXX-WE') return weekDays.indexOf(day) >= 5;
+			const weekly = pattern.match(/^XXXX-WXX-(\d)$/);
+			return !!weekly && weekDays[Number(weekly[1]) - 1] === day;
+		};
+
+		// monthly rules can skip a month with fewer days
+		for (let i = 0; i <= 62; i++) {
+			const date = new Date(after);
+			date.setDate(date.getDate() + i);
+			date.setHours(base.getHours(), base.getMinutes(), base.getSeconds(), 0);
+			if (date.getTime() > after && matchesDay(date)) return date.getTime();
+		}
+		return null;
+	}
+
+	// one-off notifications whose time has passed
+	isNotificationExpiredExt(notification) {
+		if (this.isNotificationRecurringExt(notification)) return false;
+		const now = Date.now();
+
+		if (notification.type === 'Timer') {
+			const time = this.getNotificationTriggerTimeExt(notification);
+			return !!time && time < now;
+		}
+
+		const time = Number(notification.alarmTime);
+		return !!time && time < now;
+	}
+
+	// filter like { type: 'Reminder', device: 'Kitchen', status: 'ON', label: 'wake*', expired: true }
+	// every property is optional, type, device and status can be arrays, "all" matches everything
+	// a device group matches the notifications of its members
+	filterNotificationsExt(filter = {}) {
+		const list = (value) => (Array.isArray(value) ? value : [value]).filter(o => o && o !== 'all');
+
+		const types = list(filter.type);
+		const statuses = list(filter.status).map(o => String(o).toUpperCase());
+		const serials = new Set();
+		const devices = list(filter.device).filter(o => o !== 'ALEXA_ALL_DSN');
+		for (const device of devices) {
+			for (const serial of this.findSerialNumbersExt(device)) serials.add(serial);
+		}
+
+		let label = null;
+		if (filter.label) {
+			const source = String(filter.label).split('*').map(o => o.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+			label = new RegExp(`^${source}$`, 'i');
+		}
+
+		return Array.from(this.notificationByIdExt.values()).filter(notification => {
+			if (types.length !== 0 && !types.includes(notification.type)) return false;
+			if (statuses.length !== 0 && !statuses.includes(notification.status)) return false;
+			if (serials.size !== 0 && !serials.has(notification.deviceSerialNumber)) return false;
+			if (label && !label.test((notification.type === 'Timer' ? notification.timerLabel : notification.reminderLabel) || '')) return false;
+			if (filter.expired && !this.isNotificationExpiredExt(notification)) return false;
+			return true;
+		});
+	}
+
+	// action like "delete", "disable" or "enable" applied to every notification matching the filter
+	// one failing notification does not stop the others, every one gets its own result
+	async bulkNotificationsExt(action, filter) {
+		if (!['delete', 'disable', 'enable'].includes(action)) throw new Error(`invalid bulk action: "${action}"`);
+		const notifications = this.filterNotificationsExt(filter);
+		const results = [];
+
+		for (const notification of notifications) {
+			const device = this.find(notification.deviceSerialNumber);
+			const result = {
+				id: notification.notificationIndex,
+				type: notification.type,
+				label: (notification.type === 'Timer' ? notification.timerLabel : notification.reminderLabel) || null,
+				device: {
+					serialNumber: notification.deviceSerialNumber,
+					name: device && device.accountName || null,
+				},
+				action: action,
+				success: true,
+				error: null,
+			};
+
+			try {
+				if (action === 'delete') {
+					await this.deleteNotificationExt(notification);
+				}
+				else if (notification.type === 'Timer') {
+					throw new Error('timers can not be disabled or enabled, delete them instead');
+				}
+				else {
+					await this.changeNotificationExt(notification, undefined, undefined, action === 'disable' ? 'OFF' : 'ON');
+				}
+			}
+			catch (error) {
+				result.success = false;
+				result.error = error && error.message || String(error);
+			}
+
+			results.push(result);
+		}
+
+		return results;
+	}
+
+	// portable document of the notifications matching the filter (see filterNotificationsExt)
+	// devices are stored by name so the document survives a device reset or replacement
+	async exportNotificationsExt(filter) {
+		await this.initNotificationsExt();
+		const now = Date.now();
+		const notifications = [];
+
+		for (const notification of this.filterNotificationsExt(filter)) {
+			const timer = notification.type === 'Timer';
+			const device = this.find(notification.deviceSerialNumber);
+			let time;
+
+			if (timer) {
+				const paused = notification.status === 'PAUSED';
+				const remaining = paused ? Number(notification.remainingTime) : (this.getNotificationTriggerTimeExt(notification) || 0) - now;
+				if (!(remaining > 0)) continue;
+				time = Math.ceil(remaining / 1000);
+			}
+			else {
+				time = new Date(Number(notification.alarmTime)).toISOString();
+			}
+
+			notifications.push({
+				type: notification.type,
+				label: (timer ? notification.timerLabel : notification.reminderLabel) || '',
+				device: device && device.accountName || notification.deviceSerialNumber,
+				status: notification.status,
+				time: time,
+				sound: notification.sound || null,
+				recurrence: timer ? null : denativizeRecurrence(notification),
+				music: notification.musicEntity ? {
+					provider: notification.musicEntity.providerId,
+					search: notification.musicEntity.searchPhrase,
+				} : null,
+			});
+		}
+
+		return {
+			version: 1,
+			created: new Date(now).toISOString(),
+			notifications: notifications,
+		};
+	}
+
+	// recreates the notifications of an exported document, devices like { 'Old Kitchen': 'Kitchen' } remap device names
+	// duplicates of existing notifications and expired one-off notifications are skipped
+	async importNotificationsExt(document, devices = {}, locale = 'en-US') {
+		if (!tools.matches(document, { notifications: [{ type: '', device: '' }] })) throw new Error(`invalid notifications document: "${JSON.stringify(document)}"`);
+		if (typeof devices !== 'object' || devices === null) throw new Error(`invalid device remapping: "${JSON.stringify(devices)}"`);
+
+		await this.initNotificationsExt();
+		const existing = new Set(Array.from(this.notificationByIdExt.values(), notificationDuplicateKey));
+		const results = [];
+
+		for (const entry of document.notifications) {
+			const result = {
+				type: entry.type,
+				label: entry.label || null,
+				device: devices[entry.device] || entry.device,
+				id: null,
+				success: true,
+				skipped: null,
+				error: null,
+			};
+
+			try {
+				const timer = entry.type === 'Timer';
+				let time = entry.time;
+
+				if (!timer) {
+					time = new Date(time).getTime();
+					// recurring notifications keep their time of day but have to start in the future
+					if (entry.recurrence) while (time < Date.now()) time += 24 * 60 * 60 * 1000;
+				}
+
+				if (timer ? !(Number(time) > 0) : time < Date.now()) {
+					result.skipped = 'expired';
+				}
+				else {
+					const args = [result.device, entry.type, entry.label || '', time, entry.status || 'ON', entry.sound || null, entry.recurrence || null];
+					if (existing.has(notificationDuplicateKey(this.createNotificationObjectExt(...args)))) {
+						result.skipped = 'duplicate';
+					}
+					else {
+						const music = entry.music ? Object.assign({ locale: locale }, entry.music) : null;
+						const notification = await this.createNotificationExt(...args, music);
+						existing.add(notificationDuplicateKey(notification));
+						result.id = notification.notificationIndex;
+					}
+				}
+			}
+			catch (error) {
+				result.success = false;
+				result.error = error && error.message || String(error);
+			}
+
+			results.push(result);
+		}
+
+		return results;
+	}
+
+	// epoch time at which the notification will ring next or null if it will not ring
+	getNotificationTriggerTimeExt(notification) {
+		if (!tools.matches(notification, { type: '', status: '' }) || notification.status !== 'ON') return null;
+
+		const snoozed = Number(notification.snoozedToTime);
+		if (snoozed) return snoozed;
+
+		if (notification.type === 'Timer') {
+			// remainingTime is relative to when we received the notification
+			const received = this.notificationReceivedTimeExt.get(notification) || Number(notification.lastUpdatedDate);
+			const remaining = Number(notification.remainingTime);
+			return Number.isNaN(remaining) || !received ? null : received + remaining;
+		}
+
+		const time = Number(notification.alarmTime);
+		return time || null;
+	}
+
+	// active timers with their computed end and remaining time, device is optional
+	getTimersExt(device) {
+		const found = device && device !== 'ALEXA_ALL_DSN' ? this.find(device) : null;
+		if (device && device !== 'ALEXA_ALL_DSN' && !found) throw new Error(`device not found: "${device}"`);
+		const now = Date.now();
+
+		return Array.from(this.notificationByIdExt.values())
+			.filter(o => o.type === 'Timer' && (o.status === 'ON' || o.status === 'PAUSED'))
+			.filter(o => !found || o.deviceSerialNumber === found.serialNumber)
+			.map(timer => {
+				const paused = timer.status === 'PAUSED';
+				const endTime = paused ? null : this.getNotificationTriggerTimeExt(timer);
+				const remainingTime = paused ? Number(timer.remainingTime) : Math.max(0, endTime - now);
+				const timerDevice = this.find(timer.deviceSerialNumber);
+
+				return {
+					id: timer.notificationIndex,
+					label: timer.timerLabel || null,
+					status: timer.status,
+					paused: paused,
+					device: {
+						serialNumber: timer.deviceSerialNumber,
+						name: timerDevice && timerDevice.accountName || null,
+					},
+					endTime: endTime,
+					remainingTime: remainingTime,
+				};
+			})
+			.filter(timer => timer.paused || timer.remainingTime > 0)
+			.sort((a, b) => a.remainingTime - b.remainingTime);
+	}
+
+	// activity from getActivities (filtered or not) or from a ws-device-activity event
+	parseActivityExt(activity) {
+		const parseJson = (value) => {
+			if (typeof value !== 'string') return value;
+			try { return JSON.parse(value); } catch (error) { return null; }
+		};
+
+		const data = tools.isObject(activity.data) ? activity.data : activity;
+		const description = parseJson(activity.description) || parseJson(data.description) || {};
+		const attributes = parseJson(activity.domainAttributes) || parseJson(data.domainAttributes) || {};
+		const source = Array.isArray(data.sourceDeviceIds) && data.sourceDeviceIds[0] || {};
+		const serialNumber = activity.deviceSerialNumber || source.serialNumber || null;
+		const device = serialNumber && this.find(serialNumber);
+		const timestamp = Number(activity.creationTimestamp || data.creationTimestamp || activity.timestamp) || null;
+
+		const best = Array.isArray(attributes.nBestList) && attributes.nBestList[0] || {};
+		const response = activity.alexaResponse || attributes.alexaResponse || best.cardContent || best.card && best.card.cardContent || null;
+
+		return {
+			id: data.id || activity.id || activity.key && activity.key.entryId || `${serialNumber}#${timestamp}`,
+			transcript: description.summary || '',
+			response: typeof response === 'string' ? response : response && JSON.stringify(response),
+			device: {
+				serialNumber: serialNumber,
+				name: device && device.accountName || activity.name || null,
+			},
+			timestamp: timestamp,
+			status: activity.activityStatus || data.activityStatus || null,
+		};
+	}
+
+	// latest voice activities, newest first
+	async getRecentActivitiesExt(size = 10) {
+		const response = await this.getActivitiesPromise({ size: size, offset: 1, filter: false });
+		const activities = Array.isArray(response) ? response : response && response.activities;
+		if (!Array.isArray(activities)) throw new Error(`unexpected activities response: "${JSON.stringify(response)}"`);
+		const parsed = activities.map(o => this.parseActivityExt(o));
+		if (parsed[0]) this.setLastActivityExt(parsed[0]);
+		return parsed;
+	}
+
+	setLastActivityExt(activity) {
+		if (!activity.device.serialNumber || !activity.timestamp) return;
+		if (this.lastActivityExt && this.lastActivityExt.timestamp > activity.timestamp) return;
+		this.lastActivityExt = activity;
+	}
+
+	// device of the most recent voice activity if it is at most maxAge seconds old
+	async findLastActiveExt(maxAge = 120) {
+		const recent = (activity) => !!activity && Date.now() - activity.timestamp <= maxAge * 1000;
+		if (!recent(this.lastActivityExt)) await this.getRecentActivitiesExt(1);
+		if (!recent(this.lastActivityExt)) throw new Error(`no voice activity in the last ${maxAge} seconds`);
+		return this.findAsync(this.lastActivityExt.device.serialNumber);
+	}
+
+	// devices with a volume, groups are split into their members, ALEXA_ALL_DSN is every such device
+	findVolumeDevicesExt(devices) {
+		const hasVolume = (device) => !device.capabilities || device.capabilities.includes('VOLUME_SETTING');
+		const ids = Array.isArray(devices) ? devices : [devices];
+		const found = new Map();
+
+		for (const id of ids) {
+			if (id === 'ALEXA_ALL_DSN') {
+				for (const device of this.deviceByIdExt.values()) {
+					if (device.clusterMembers.length === 0 && hasVolume(device)) found.set(device.serialNumber, device);
+				}
+				continue;
+			}
+
+			for (const serial of this.findSerialNumbersExt(id)) {
+				const device = this.find(serial);
+				if (device && device.clusterMembers.length === 0 && hasVolume(device)) found.set(device.serialNumber, device);
+			}
+		}
+
+		return Array.from(found.values());
+	}
+
+	// volume and player state of the devices to restore them later, the account node keeps it under the name
+	async takeSnapshotExt(name, devices) {
+		if (typeof name !== 'string' || !name) throw new Error(`invalid snapshot name: "${name}"`);
+		const found = this.findVolumeDevicesExt(devices);
+		if (found.length === 0) throw new Error(`no devices with a volume: "${JSON.stringify(devices)}"`);
+
+		const states = await Promise.all(found.map(async device => {
+			const [media, player] = await Promise.all([
+				this.getMediaPromise(device).catch(() => null),
+				this.getPlayerInfoPromise(device).then(o => o.playerInfo).catch(() => null),
+			]);
+
+			return {
+				serialNumber: device.serialNumber,
+				name: device.accountName,
+				volume: tools.matches(media, { volume: 50 }) ? media.volume : null,
+				state: player && player.state || null,
+			};
+		}));
+
+		return { name: name, created: new Date().toISOString(), devices: states };
+	}
+
+	// sets volume and player state back to a snapshot, returns a result per device
+	async restoreSnapshotExt(snapshot, locale = 'en-US') {
+		if (!tools.matches(snapshot, { devices: [{ serialNumber: '' }] })) throw new Error(`invalid snapshot: "${JSON.stringify(snapshot)}"`);
+
+		const results = [];
+		for (const state of snapshot.devices) {
+			const result = { serialNumber: state.serialNumber, name: state.name, volume: state.volume, state: state.state, success: true, error: null };
+			results.push(result);
+
+			try {
+				const device = await this.findAsync(state.serialNumber);
+				const player = await this.getPlayerInfoPromise(device).then(o => o.playerInfo).catch(() => null);
+				const playing = !!player && player.state === 'PLAYING';
+
+				if (state.volume !== null) await this.sendSequenceNodeExt({
+					'@type': 'com.amazon.alexa.behaviors.model.OpaquePayloadOperationNode',
+					type: 'Alexa.DeviceControls.Volume',
+					operationPayload: {
+						deviceType: device.deviceType,
+						deviceSerialNumber: device.serialNumber,
+						locale: locale,
+						customerId: device.deviceOwnerCustomerId,
+						value: state.volume,
+					}
+				});
+
+				if (state.state === 'PLAYING' && !playing) await this.sendCommandPromise(device, 'play');
+				if (state.state !== 'PLAYING' && playing) await this.sendCommandPromise(device, 'pause');
+			}
+			catch (error) {
+				result.success = false;
+				result.error = error && error.message || String(error);
+			}
+		}
+
+		return results;
+	}
+
 	async getSoundsExt(device) {
 		const found = this.find(device);
 		if (!found) throw new Error(`device not found: "${device}"`);
@@ -1005,6 +1935,41 @@ class AlexaRemoteExt extends AlexaRemote {
 		return response.notificationSounds;
 	}
 
+	// known sounds first, then the ones discovered from the behaviour definitions
+	getRoutineSoundsExt() {
+		const sounds = knownSounds.routineSounds.slice();
+		for (const [id, name] of this.operationsExt.sounds) {
+			if (!sounds.some(o => o.id === id)) sounds.push({ id: id, name: name, category: 'Discovered' });
+		}
+		return sounds;
+	}
+
+	// sound can be an id, a name like "doorbell 2", a unique part of a name like "lion" or a name with small typos
+	findRoutineSoundExt(sound) {
+		const sounds = this.getRoutineSoundsExt();
+		if (sounds.some(o => o.id === sound)) return sound;
+		// amazon has more sounds than we know of so anything that looks like an id is used as is
+		if (/^[a-z0-9]+(_[a-z0-9]+)+$/i.test(sound)) return sound;
+
+		const key = soundKey(sound);
+		const ranked = sounds.map(o => {
+			const keys = [soundKey(o.name), soundKey(o.id)];
+			// the same name, the start of a name, a part of a name or anything else
+			const rank = keys.includes(key) ? 0 : keys.some(k => k.startsWith(key)) ? 1 : keys.some(k => k.includes(key)) ? 2 : 3;
+			return { sound: o, rank: rank, distance: Math.min(...keys.map(k => editDistance(key, k))) };
+		}).sort((a, b) => a.rank - b.rank || a.distance - b.distance);
+		const [best, second] = ranked;
+
+		if (key && best) {
+			if (best.rank === 0) return best.sound.id;
+			if (best.rank !== 3 && (!second || second.rank !== best.rank)) return best.sound.id;
+			if (best.rank === 3 && best.distance <= Math.max(1, Math.floor(key.length / 5)) && (!second || second.distance > best.distance)) return best.sound.id;
+		}
+
+		const close = ranked.slice(0, 3).map(o => `"${o.sound.name}" (${o.sound.id})`).join(', ');
+		throw new Error(`sound not found: "${sound}"${close ? `, did you mean ${close}?` : ''}`);
+	}
+
 	async getDefaultSound(device, notificationType = 'Alarm') {
 		const found = this.find(device);
 		if (!found) throw new Error(`device not found: "${device}"`);
@@ -1066,6 +2031,315 @@ class AlexaRemoteExt extends AlexaRemote {
 		});
 	}
 
+	// trigger like { type: 'utterance', utterance: 'movie time' }, { type: 'schedule', time: '07:30', recurrence: 'weekdays' }
+	// or { type: 'alarmDismissed', device: 'Bedroom' }, recurrence like in nativizeRecurrence
+	nativizeRoutineTriggerExt(trigger, locale = 'en-US') {
+		if (!tools.matches(trigger, { type: '' })) throw new Error(`invalid routine trigger: "${JSON.stringify(trigger)}"`);
+
+		switch (trigger.type) {
+			case 'utterance': {
+				if (!tools.matches(trigger, { utterance: '' }) || !trigger.utterance.trim()) throw new Error(`invalid routine trigger: "${JSON.stringify(trigger)}"`);
+				return {
+					type: 'CustomUtterance',
+					id: null,
+					payload: {
+						customerId: this.ownerCustomerId,
+						utterance: trigger.utterance.trim(),
+						locale: locale,
+					},
+				};
+			}
+			case 'schedule': {
+				if (!tools.matches(trigger, { time: '' })) throw new Error(`invalid routine trigger: "${JSON.stringify(trigger)}"`);
+				const [h, m, s = 0] = trigger.time.split(':').map(Number);
+				if ([h, m, s].some(Number.isNaN) || h > 23 || m > 59 || s > 59) throw new Error(`invalid routine trigger time: "${trigger.time}"`);
+				const date = new Date();
+				date.setHours(h, m, s, 0);
+				// routines are only scheduled with a recurrence, "never" has no rule to send
+				const { rRuleData } = nativizeRecurrence(trigger.recurrence || 'daily', date.getTime());
+				if (!rRuleData) throw new Error(`schedule triggers need a recurrence: "${JSON.stringify(trigger.recurrence)}"`);
+				const pad = (n) => String(n).padStart(2, '0');
+
+				return {
+					type: 'AbsoluteTimeSchedule',
+					id: null,
+					payload: {
+						customerId: this.ownerCustomerId,
+					},
+					schedule: {
+						triggerTime: `${pad(h)}${pad(m)}${pad(s)}`,
+						timeZoneId: null,
+						// the time of day is in triggerTime
+						recurrence: rRuleData.recurrenceRules[0].replace(/BY(HOUR|MINUTE|SECOND)=\d+;/g, ''),
+					},
+				};
+			}
+			case 'alarmDismissed': {
+				const device = this.find(trigger.device);
+				if (!device) throw new Error(`device not found: "${trigger.device}"`);
+				return {
+					type: 'Alexa.Trigger.Alarms.NotificationStopped',
+					id: null,
+					payload: {
+						customerId: device.deviceOwnerCustomerId,
+						deviceType: device.deviceType,
+						deviceSerialNumber: device.serialNumber,
+					},
+				};
+			}
+			default: throw new Error(`invalid routine trigger type: "${trigger.type}"`);
+		}
+	}
+
+	// stores a saved or changed routine, refetches all routines if amazon did not send it back
+	async _routineSaved(response) {
+		if (tools.matches(response, { automationId: '' })) {
+			this.routineByIdExt.set(response.automationId, response);
+			this._routineChange();
+			return response;
+		}
+
+		await this.initRoutinesExt();
+		return response;
+	}
+
+	denativizeRoutineNodeExt(native) {
+		return denativizeRoutineNode(native);
+	}
+
+	// the sequence of an existing routine in the format of the routine node so single steps can be changed
+	importRoutineExt(routine) {
+		const found = this.findRoutineExt(routine);
+		if (!found) throw new Error(`could not find routine: "${routine}"`);
+		if (!tools.matches(found, { sequence: { startNode: {} } })) throw new Error(`routine has no sequence: "${routine}"`);
+		return denativizeRoutineNode(found.sequence.startNode);
+	}
+
+	// readable summary of a routine like { id, name, enabled, trigger: { type, kind, text }, devices, entities, actions }
+	describeRoutineExt(routine) {
+		const found = this.findRoutineExt(routine);
+		if (!found) throw new Error(`could not find routine: "${routine}"`);
+
+		const devices = new Map();
+		const entities = new Map();
+
+		const deviceName = (serialNumber) => {
+			if (serialNumber === 'ALEXA_CURRENT_DSN') return 'the echo that was spoken to';
+			if (serialNumber === 'ALEXA_ALL_DSN') return 'all devices';
+			const device = this.find(serialNumber);
+			const name = device && device.accountName || serialNumber;
+			devices.set(serialNumber, name);
+			return name;
+		};
+
+		const entityName = (entityId) => {
+			const entity = this.smarthomeSimplifiedByEntityIdExt.get(entityId);
+			const name = entity && entity.name || entityId;
+			entities.set(entityId, name);
+			return name;
+		};
+
+		const typeToLabel = (type) => String(type).replace(/^Alexa\.(Trigger\.)?/, '').split('.').map(tools.keyToLabel).join(' ');
+
+		const describeTrigger = (trigger) => {
+			const type = trigger.type || '';
+			const payload = trigger.payload || {};
+			const schedule = trigger.schedule || {};
+
+			if (type === 'CustomUtterance') {
+				const utterances = Array.isArray(payload.utterances) ? payload.utterances : [payload.utterance];
+				return { kind: 'utterance', text: `When you say ${utterances.map(utterance => `"${utterance}"`).join(' or ')}` };
+			}
+
+			if (type === 'AbsoluteTimeSchedule') {
+				const time = schedule.triggerTime || '????';
+				return { kind: 'schedule', text: `At ${time.slice(0, 2)}:${time.slice(2, 4)} ${describeRecurrenceRule(schedule.recurrence)}` };
+			}
+
+			if (type.startsWith('Alexa.Trigger.Alarms')) {
+				let action = type.slice(type.lastIndexOf('.') + 1);
+				if (action === 'NotificationStopped') action = 'dismissed';
+				const on = payload.deviceSerialNumber ? ` on ${deviceName(payload.deviceSerialNumber)}` : '';
+				return { kind: 'alarm', text: `Alarm ${tools.keyToLabel(action).toLowerCase()}${on}` };
+			}
+
+			if (type.startsWith('Alexa.Trigger.Gadget.EchoButton')) {
+				let action = type.slice(type.lastIndexOf('.') + 1);
+				if (action === 'ButtonPress') action = 'pressed';
+				return { kind: 'button', text: `Button ${String(payload.gadgetDsn).slice(-3)} ${tools.keyToLabel(action).toLowerCase()}` };
+			}
+
+			// the event, offset and place are described when there, otherwise only the type
+			if (/sunrise|sunset|solar/i.test(type)) {
+				const event = schedule.solarEvent || payload.solarEvent || (type.match(/sunrise|sunset/i) || [])[0];
+				if (!event) return { kind: 'solar', text: typeToLabel(type) };
+				const offset = Number(schedule.offsetInMinutes || payload.offsetInMinutes) || 0;
+				const when = offset === 0 ? `At ${event.toLowerCase()}` : `${Math.abs(offset)} minutes ${offset < 0 ? 'before' : 'after'} ${event.toLowerCase()}`;
+				return { kind: 'solar', text: schedule.recurrence ? `${when} ${describeRecurrenceRule(schedule.recurrence)}` : when };
+			}
+
+			if (/geofence|location/i.test(type)) {
+				const place = payload.locationName || payload.name || payload.address;
+				if (!place) return { kind: 'location', text: typeToLabel(type) };
+				const transition = `${type} ${payload.transitionType || payload.event || ''}`;
+				if (/exit|leave|depart/i.test(transition)) return { kind: 'location', text: `When you leave ${place}` };
+				if (/enter|arriv/i.test(transition)) return { kind: 'location', text: `When you arrive at ${place}` };
+				return { kind: 'location', text: `${typeToLabel(type)} at ${place}` };
+			}
+
+			if (typeof payload.target === 'string') {
+				const name = entityName(payload.target);
+				if (type === 'motionSensorDetectionStateTrigger') return { kind: 'sensor', text: `Motion in ${name}` };
+				return { kind: 'sensor', text: `${tools.keyToLabel(type.replace(/(State)?Trigger$/, ''))} of ${name}` };
+			}
+
+			return { kind: 'other', text: type ? typeToLabel(type) : 'No trigger' };
+		};
+
+		const describeAction = (native) => {
+			const payload = (typeof native.operationPayload === 'string' ? tools.tryParseJson(native.operationPayload) : native.operationPayload) || {};
+			const targets = [payload, payload.targetDevice]
+				.concat(payload.devices, payload.target && payload.target.devices)
+				.filter(o => tools.matches(o, { deviceSerialNumber: '' }));
+			const on = targets.length === 0 ? '' : ` on ${targets.map(o => deviceName(o.deviceSerialNumber)).join(', ')}`;
+
+			switch (native.type) {
+				case 'Alexa.Speak': return `Speak "${payload.textToSpeak}"${on}`;
+				case 'AlexaAnnouncement': {
+					const content = Array.isArray(payload.content) && payload.content[0] || {};
+					const text = String(content.speak && content.speak.value || '').replace(/<[^>]+>/g, '');
+					return `Announce "${text}"${on || ' on all devices'}`;
+				}
+				case 'Alexa.DeviceControls.Volume': return `Volume ${payload.value}${on}`;
+				case 'Alexa.DeviceControls.Stop': return `Stop${on}`;
+				case 'Alexa.System.Wait': return `Wait ${payload.waitTimeInSeconds} seconds`;
+				case 'Alexa.Music.PlaySearchPhrase': return `Play "${payload.searchPhrase}"${on}`;
+				case 'Alexa.Sound': return `Sound ${payload.soundStringId}${on}`;
+				case 'Alexa.Operation.SkillConnections.Launch': return `Launch skill ${native.skillId}${on}`;
+				case 'Alexa.SmartHome.Batch': {
+					const name = entityName(payload.target);
+					return (payload.operations || []).map(o => `${tools.keyToLabel(o.type)} ${name}`).join(', ');
+				}
+				default:
+					return typeToLabel(native.type || 'Unknown') + on;
+			}
+		};
+
+		const actions = [];
+		const walk = (native) => {
+			if (!tools.isObject(native)) return;
+			if (native.startNode) return walk(native.startNode);
+			if (Array.isArray(native.nodesToExecute)) return native.nodesToExecute.forEach(walk);
+			actions.push(describeAction(native));
+		};
+
+		const trigger = Array.isArray(found.triggers) && found.triggers[0] || {};
+		const described = describeTrigger(trigger);
+		walk(found.sequence);
+
+		return {
+			id: found.automationId,
+			name: found.name || null,
+			enabled: found.status !== 'DISABLED',
+			trigger: { type: trigger.type || null, kind: described.kind, text: described.text },
+			devices: Array.from(devices, ([serialNumber, name]) => ({ serialNumber: serialNumber, name: name })),
+			entities: Array.from(entities, ([entityId, name]) => ({ entityId: entityId, name: name })),
+			actions: actions,
+		};
+	}
+
+	// a routine that can't be described doesn't hide the others
+	describeRoutinesExt() {
+		return Array.from(this.routineByIdExt.values(), routine => {
+			try {
+				return this.describeRoutineExt(routine);
+			}
+			catch (ex) {
+				const name = routine.name || routine.automationId;
+				return {
+					id: routine.automationId,
+					name: routine.name || null,
+					enabled: routine.status !== 'DISABLED',
+					trigger: { type: null, kind: 'other', text: name },
+					devices: [],
+					entities: [],
+					actions: [],
+				};
+			}
+		});
+	}
+
+	// sequenceNode is a native node like the routine node builds
+	async createRoutineExt(sequenceNode, trigger, name, locale) {
+		if (!tools.matches(sequenceNode, { '@type': '' })) throw new Error(`invalid routine sequence: "${JSON.stringify(sequenceNode)}"`);
+
+		const routine = {
+			automationId: null,
+			name: name || null,
+			triggers: [this.nativizeRoutineTriggerExt(trigger, locale)],
+			sequence: {
+				'@type': 'com.amazon.alexa.behaviors.model.Sequence',
+				startNode: sequenceNode,
+			},
+			status: 'ENABLED',
+		};
+
+		return this.httpsGetPromise(`/api/behaviors/automations`, {
+			method: 'POST',
+			data: JSON.stringify(routine),
+		}).catch(error => {
+			if (error.message === 'no body') return;
+			throw error;
+		}).then(response => this._routineSaved(response));
+	}
+
+	// sequenceNode, trigger and name are kept if falsy
+	async updateRoutineExt(routine, sequenceNode, trigger, name, locale) {
+		const found = this.findRoutineExt(routine);
+		if (!found) throw new Error(`routine not found: "${routine}"`);
+
+		const changed = tools.clone(found);
+		if (sequenceNode) changed.sequence = Object.assign({}, changed.sequence, { startNode: sequenceNode });
+		if (trigger) changed.triggers = [this.nativizeRoutineTriggerExt(trigger, locale)];
+		if (name) changed.name = name;
+		return this.putRoutineExt(changed);
+	}
+
+	async putRoutineExt(changed) {
+		return this.httpsGetPromise(`/api/behaviors/automations/${encodeURIComponent(changed.automationId)}`, {
+			method: 'PUT',
+			data: JSON.stringify(changed),
+		}).catch(error => {
+			if (error.message === 'no body') return;
+			throw error;
+		}).then(response => this._routineSaved(response || changed));
+	}
+
+	async setRoutineEnabledExt(routine, enabled) {
+		const found = this.findRoutineExt(routine);
+		if (!found) throw new Error(`routine not found: "${routine}"`);
+
+		const changed = tools.clone(found);
+		changed.status = enabled ? 'ENABLED' : 'DISABLED';
+		return this.putRoutineExt(changed);
+	}
+
+	async deleteRoutineExt(routine) {
+		const found = this.findRoutineExt(routine);
+		if (!found) throw new Error(`routine not found: "${routine}"`);
+
+		return this.httpsGetPromise(`/api/behaviors/automations/${encodeURIComponent(found.automationId)}`, {
+			method: 'DELETE',
+		}).catch(error => {
+			if (error.message === 'no body') return;
+			throw error;
+		}).then(response => {
+			this.routineByIdExt.delete(found.automationId);
+			this._routineChange();
+			return response;
+		});
+	}
+
 	async pairBluetoothExt(device, bluetoothAddress) {
 		const found = await this.findAsync(device);
 		return this.httpsGetPromise(`/api/bluetooth/pair-sink/${found.deviceType}/${found.serialNumber}`, {
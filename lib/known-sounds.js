@@ -0,0 +1,33 @@
+module.exports = {
+	// sounds for the routine sound node, amazon has many more and the account discovers some of them
+	routineSounds: [
+		{ id: 'amzn_sfx_cat_meow_1x_01',       name: 'Cat meow',               category: 'Animals' },
+		{ id: 'amzn_sfx_dog_med_bark_1x_02',   name: 'Dog bark',               category: 'Animals' },
+		{ id: 'amzn_sfx_lion_roar_02',         name: 'Lion roar',              category: 'Animals' },
+		{ id: 'amzn_sfx_rooster_crow_01',      name: 'Rooster crow',           category: 'Animals' },
+		{ id: 'amzn_sfx_wolf_howl_02',         name: 'Wolf howl',              category: 'Animals' },
+		{ id: 'bell_02',                       name: 'Bells howl',             category: 'Bells and Buzzers' },
+		{ id: 'buzzers_pistols_01',            name: 'Buzzer',                 category: 'Bells and Buzzers' },
+		{ id: 'amzn_sfx_church_bell_1x_02',    name: 'Church bell',            category: 'Bells and Buzzers' },
+		{ id: 'amzn_sfx_doorbell_01',          name: 'Doorbell 1',             category: 'Bells and Buzzers' },
+		{ id: 'amzn_sfx_doorbell_chime_01',    name: 'Doorbell 2',             category: 'Bells and Buzzers' },
+		{ id: 'amzn_sfx_doorbell_chime_02',    name: 'Doorbell 3',             category: 'Bells and Buzzers' },
+		{ id: 'amzn_sfx_crowd_applause_01',    name: 'Crowd applause',         category: 'Crowds' },
+		{ id: 'amzn_sfx_large_crowd_cheer_01', name: 'Crowd cheers',           category: 'Crowds' },
+		{ id: 'christmas_05',                  name: 'Christmas bells',        category: 'Festive Season' },
+		{ id: 'horror_10',                     name: 'Halloween creepy door',  category: 'Festive Season' },
+		{ id: 'air_horn_03',                   name: 'Air horn',               category: 'Miscellaneous' },
+		{ id: 'boing_01',                      name: 'Boing 1',                category: 'Miscellaneous' },
+		{ id: 'boing_03',                      name: 'Boing 2',                category: 'Miscellaneous' },
+		{ id: 'camera_01',                     name: 'Camera',                 category: 'Miscellaneous' },
+		{ id: 'squeaky_12',                    name: 'Squeaky door',           category: 'Miscellaneous' },
+		{ id: 'clock_01',                      name: 'Ticking clock',          category: 'Miscellaneous' },
+		{ id: 'amzn_sfx_trumpet_bugle_04',     name: 'Trumpet',                category: 'Miscellaneous' },
+		{ id: 'futuristic_10',                 name: 'Aircraft',               category: 'Sci-fi' },
+		{ id: 'amzn_sfx_scifi_engines_on_02',  name: 'Engines on',             category: 'Sci-fi' },
+		{ id: 'amzn_sfx_scifi_alarm_04',       name: 'Red alert',              category: 'Sci-fi' },
+		{ id: 'amzn_sfx_scifi_sheilds_up_01',  name: 'Shields up',             category: 'Sci-fi' },
+		{ id: 'amzn_sfx_scifi_alarm_01',       name: 'Sirens',                 category: 'Sci-fi' },
+		{ id: 'zap_01',                        name: 'Zap',                    category: 'Sci-fi' },
+	],
+};
\ No newline at end of file
@@ -0,0 +1,207 @@
+const EventEmitter = require('events');
+
+// rough speaking rate, alexa talks a bit slower than people read
+const WORDS_PER_SECOND = 2.5;
+// time alexa needs to start talking after the sequence was sent
+const SPEECH_OVERHEAD = 1000;
+const ALL_DEVICES = 'ALEXA_ALL_DSN';
+
+const PRIORITIES = ['normal', 'high', 'interrupt'];
+
+function textDuration(text, ssml = false) {
+	if (typeof text !== 'string') return 0;
+	let duration = 0;
+
+	if (ssml) {
+		for (const [, value, unit] of text.matchAll(/<break[^>]*time\s*=\s*["']([\d.]+)\s*(ms|s)["'][^>]*>/g)) {
+			duration += Number(value) * (unit === 's' ? 1000 : 1);
+		}
+		text = text.replace(/<[^>]+>/g, ' ');
+	}
+
+	const words = text.split(/\s+/).filter(word => word).length;
+	return duration + words / WORDS_PER_SECOND * 1000;
+}
+
+// milliseconds the native sequence will keep the devices busy
+function estimateDuration(native) {
+	if (!native || typeof native !== 'object') return 0;
+
+	switch (native['@type']) {
+		case 'com.amazon.alexa.behaviors.model.SerialNode':
+			return native.nodesToExecute.reduce((sum, child) => sum + estimateDuration(child), 0);
+		case 'com.amazon.alexa.behaviors.model.ParallelNode':
+			return native.nodesToExecute.reduce((max, child) => Math.max(max, estimateDuration(child)), 0);
+		case 'com.amazon.alexa.behaviors.model.Sequence':
+			return estimateDuration(native.startNode);
+	}
+
+	const payload = native.operationPayload || {};
+
+	switch (native.type) {
+		case 'Alexa.Speak':
+			return SPEECH_OVERHEAD + textDuration(payload.textToSpeak);
+		case 'AlexaAnnouncement':
+			return SPEECH_OVERHEAD + Math.max(0, ...(payload.content || []).map(content => {
+				return textDuration(content.speak && content.speak.value, content.speak && content.speak.type === 'ssml');
+			}));
+		case 'Alexa.System.Wait':
+			return Number(payload.waitTimeInSeconds) * 1000 || 0;
+		default:
+			return 0;
+	}
+}
+
+// serial numbers of the devices the native sequence speaks on
+function speakingDevices(native, serials = new Set()) {
+	if (!native || typeof native !== 'object') return serials;
+	if (native.startNode) return speakingDevices(native.startNode, serials);
+	if (Array.isArray(native.nodesToExecute)) {
+		for (const child of native.nodesToExecute) speakingDevices(child, serials);
+		return serials;
+	}
+
+	const payload = native.operationPayload || {};
+
+	switch (native.type) {
+		case 'Alexa.Speak':
+			serials.add(payload.deviceSerialNumber);
+			break;
+		case 'AlexaAnnouncement': {
+			const devices = payload.target && payload.target.devices;
+			if (!devices || devices.length === 0) serials.add(ALL_DEVICES);
+			else for (const device of devices) serials.add(device.deviceSerialNumber);
+			break;
+		}
+	}
+
+	return serials;
+}
+
+function overlaps(a, b) {
+	if (a.has(ALL_DEVICES) || b.has(ALL_DEVICES)) return true;
+	for (const serial of a) if (b.has(serial)) return true;
+	return false;
+}
+
+// holds speaking sequences until the devices they speak on are done with the previous one,
+// devices count as busy from sending a sequence until its estimated duration has passed
+class SpeechQueue extends EventEmitter {
+	// stop is called with the serial numbers of the devices an interrupting sequence cuts off
+	constructor(stop = null) {
+		super();
+		this.setMaxListeners(128);
+		this.stop = stop;
+		this.waiting = [];
+		// serial => { timeout }, a device is busy until its timeout releases it
+		this.busy = new Map();
+	}
+
+	get size() {
+		return this.waiting.length;
+	}
+
+	// number of waiting sequences that speak on any of the given devices
+	count(serials) {
+		serials = new Set(serials);
+		return this.waiting.filter(item => overlaps(item.serials, serials)).length;
+	}
+
+	// resolves with the result of job once it was run
+	enqueue(serials, duration, job, priority = 'normal') {
+		if (!PRIORITIES.includes(priority)) return Promise.reject(new Error(`invalid priority: "${priority}"`));
+
+		return new Promise((resolve, reject) => {
+			const item = { serials: new Set(serials), duration: duration, job: job, priority: priority, interrupted: [], resolve: resolve, reject: reject };
+
+			if (priority === 'normal') {
+				this.waiting.push(item);
+			}
+			else {
+				// urgent sequences go after other urgent ones but before everything else
+				const index = this.waiting.findIndex(other => PRIORITIES.indexOf(other.priority) < PRIORITIES.indexOf(priority));
+				this.waiting.splice(index === -1 ? this.waiting.length : index, 0, item);
+			}
+
+			if (priority === 'interrupt') {
+				for (const [serial, busy] of this.busy) {
+					if (!overlaps(new Set([serial]), item.serials)) continue;
+					this.release(serial, busy);
+					item.interrupted.push(serial);
+				}
+			}
+
+			this.process();
+		});
+	}
+
+	release(serial, busy) {
+		clearTimeout(busy.timeout);
+		if (this.busy.get(serial) === busy) this.busy.delete(serial);
+	}
+
+	isBusy(serials) {
+		return overlaps(serials, new Set(this.busy.keys()));
+	}
+
+	process() {
+		// sequences keep their order per device, a later one never overtakes an earlier one on the same device
+		const blocked = [];
+
+		for (const item of this.waiting.slice()) {
+			if (blocked.some(serials => overlaps(serials, item.serials)) || this.isBusy(item.serials)) {
+				blocked.push(item.serials);
+				continue;
+			}
+
+			this.waiting.splice(this.waiting.indexOf(item), 1);
+			this.run(item);
+		}
+
+		this.emit('change', this.waiting.length);
+	}
+
+	run(item) {
+		const holds = Array.from(item.serials, serial => {
+			const busy = { timeout: null };
+			this.busy.set(serial, busy);
+			return [serial, busy];
+		});
+
+		const free = (duration) => {
+			for (const [serial, busy] of holds) {
+				if (this.busy.get(serial) !== busy) continue;
+				busy.timeout = setTimeout(() => {
+					this.release(serial, busy);
+					this.process();
+				}, duration);
+			}
+		};
+
+		// what is cut off is stopped first, the sequence is sent even if that fails
+		const stopped = item.interrupted.length !== 0 && this.stop
+			? Promise.resolve().then(() => this.stop(item.interrupted)).catch(() => {})
+			: Promise.resolve();
+
+		stopped.then(() => item.job()).then(value => {
+			free(item.duration);
+			item.resolve(value);
+		}).catch(error => {
+			free(0);
+			item.reject(error);
+		});
+	}
+
+	clear() {
+		for (const [serial, busy] of this.busy) this.release(serial, busy);
+		const waiting = this.waiting;
+		this.waiting = [];
+		for (const item of waiting) item.reject(new Error('speech queue was cleared'));
+		this.emit('change', 0);
+	}
+}
+
+SpeechQueue.estimateDuration = estimateDuration;
+SpeechQueue.speakingDevices = speakingDevices;
+
+module.exports = SpeechQueue;
\ No newline at end of file
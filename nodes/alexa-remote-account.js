@@ -4,6 +4,7 @@ const readFileAsync = util.promisify(fs.readFile);
 const EventEmitter = require('events');
 
 const AlexaRemote = require('../lib/alexa-remote-ext.js');
+const SpeechQueue = require('../lib/speech-queue.js');
 const tools = require('../lib/common.js');
 
 // we are building all sorts of json payloads to send to the webpage when
@@ -155,66 +156,44 @@ const uiJsonBuilders = {
 			return nameValue + typeValue;
 		};
 
+		const getDeviceName = (noti) => {
+			const device = alexa.find(noti.deviceSerialNumber);
+			return device && device.accountName || noti.deviceSerialNumber;
+		};
+
+		// grouped by device in the editor so notifications with the same label can be told apart
 		return JSON.stringify(Array.from(alexa.notificationByIdExt.values())
-			.sort((a,b) => getSortValue(a) - getSortValue(b))
-			.map(noti => [noti.notificationIndex, getLabel(noti), noti.type, noti.deviceSerialNumber])
+			.sort((a,b) => getDeviceName(a).localeCompare(getDeviceName(b)) || getSortValue(a) - getSortValue(b))
+			.map(noti => [noti.notificationIndex, getLabel(noti), noti.type, noti.deviceSerialNumber, getDeviceName(noti)])
 		);
 	},
 	routines: async (alexa, fresh = true) => {
-		function getLabel(routine, smarthomeSimplifiedByEntityIdExt) {
-			routine = tools.isObject(routine) && routine || {};
-			const id = String(routine.automationId);
-			const trigger = Array.isArray(routine.triggers) && routine.triggers[0] || {}; 
-			const type = trigger.type || '';
-			const disabled = routine.status === 'DISABLED';
-			const suffix = disabled ? ' (disabled)' : '';
-		
-			// const shortId = 
-			// 	  id.startsWith('amzn1.alexa.automation') 				? id.slice(id.lastIndexOf('-') + 1) 
-			// 	: id.startsWith('amzn1.alexa.behaviors.preconfigured') 	? tools.keyToLabel(id.slice(id.lastIndexOf(':') + 1, tools.nthIndexOf(id, '_', 1)))
-			// 	: '???';
-		
-			if(type.startsWith('Alexa.Trigger.Alarms')) {
-				let action = type.slice(type.lastIndexOf('.') + 1);
-				if(action === 'NotificationStopped') action = 'dismissed';
-				return `&#xf0f3;  Alarm ${tools.keyToLabel(action)}${suffix}`; //bell
-			}
-		
-			if(type.startsWith('Alexa.Trigger.Gadget.EchoButton')) {
-				let action = type.slice(type.lastIndexOf('.') + 1);
-				let shortId = trigger.payload.gadgetDsn.slice(-3);
-				if(action === 'ButtonPress') action = 'pressed';
-				return `&#xf111;  Button ${shortId} ${tools.keyToLabel(action)}${suffix}`; // circle
-			}
-		
-			if(type === 'CustomUtterance') {
-				const utterance = trigger.payload.utterance;
-				return `&#xf130;  "${utterance}"`; // microphone
-			}
-		
-			if(type === 'motionSensorDetectionStateTrigger') {
-				const entityId = trigger.payload.target;
-				const entity = smarthomeSimplifiedByEntityIdExt.get(entityId);
-				const name = entity && entity.name || '???';
-				return `&#xf047;  Motion in ${name}${suffix}`; // arrows
+		function getIcon(kind) {
+			switch(kind) {
+				case 'alarm':     return 'f0f3'; // bell
+				case 'button':    return 'f111'; // circle
+				case 'utterance': return 'f130'; // microphone
+				case 'sensor':    return 'f047'; // arrows
+				case 'schedule':  return 'f017'; // clock-o
+				case 'solar':     return 'f185'; // sun-o
+				case 'location':  return 'f041'; // map-marker
+				default:          return 'f059'; // question-circle
 			}
-		
-			if(type === 'AbsoluteTimeSchedule') {
-				const time = trigger.schedule && trigger.schedule.triggerTime || '??????';
-				const formatted = `${time.slice(0,2)}:${time.slice(2,4)}:${time.slice(4,6)}`;
-				return `&#xf017;  Schedule ${formatted}${suffix}`; // clock-o
-			}
-		
-			return `&#xf059;  ${id}${suffix}`; // question-circle
+		}
+
+		function getLabel(description) {
+			const suffix = description.enabled ? '' : ' (disabled)';
+			const name = description.name ? `${description.name} - ` : '';
+			return `&#x${getIcon(description.trigger.kind)};  ${name}${description.trigger.text}${suffix}`;
 		}
 
 		if(fresh) {
 			await alexa.initRoutinesExt();
 		}
 
-		return JSON.stringify(Array.from(alexa.routineByIdExt.values())
-			.sort((a,b) => (a.status === 'DISABLED' ? 1 : -1) - (b.status === 'DISABLED' ? 1 : -1))
-			.map(routine => [routine.automationId, getLabel(routine, alexa.smarthomeSimplifiedByEntityIdExt)]));
+		return JSON.stringify(alexa.describeRoutinesExt()
+			.sort((a,b) => (a.enabled ? -1 : 1) - (b.enabled ? -1 : 1))
+			.map(description => [description.id, getLabel(description)]));
 	},
 	musicProviders: async(alexa, fresh = true) => {
 		if(fresh) {
@@ -225,6 +204,24 @@ const uiJsonBuilders = {
 			.filter(provider => provider.supportedOperations.includes('Alexa.Music.PlaySearchPhrase'))
 			.map(provider => [provider.id, provider.displayName]));
 	},
+	operations: async(alexa, fresh = true) => {
+		if(fresh) {
+			await alexa.initOperationsExt();
+		}
+
+		return JSON.stringify(alexa.operationsExt);
+	},
+	routineSounds: async(alexa, fresh = true) => {
+		if(fresh) {
+			await alexa.initOperationsExt();
+		}
+
+		// grouped by category for the editor
+		return JSON.stringify(alexa.getRoutineSoundsExt().reduce((o, sound) => {
+			(o[sound.category] = o[sound.category] || []).push([sound.id, sound.name]);
+			return o;
+		}, {}));
+	},
 	skills: async(alexa, fresh = true) => {
 		function getIcon(skill) {
 			switch(skill.type) {
@@ -305,6 +302,15 @@ module.exports = function (RED) {
 		tools.assign(this, ['authMethod', 'proxyOwnIp', 'proxyPort', 'cookieFile', 'refreshInterval', 'alexaServiceHost', 'amazonPage', 'acceptLanguage', 'userAgent'], input);
 		this.useWsMqtt = input.useWsMqtt === 'on';
 		this.autoInit  = input.autoInit  === 'on';
+		this.useSpeechQueue = input.speechQueue === 'on';
+		// what routine nodes do with speech during quiet hours or while an echo is in do not disturb mode
+		this.quietHours = {
+			start: input.quietStart,
+			end: input.quietEnd,
+			dnd: input.quietDnd === 'on',
+			action: input.quietAction || 'off',
+			volume: Number(input.quietVolume) || 20,
+		};
 		this.name = input.name;
 		this.locale = this.acceptLanguage;
 		this.refreshInterval = Number(this.refreshInterval) * 1000 * 60 * 60 * 24;
@@ -312,6 +318,10 @@ module.exports = function (RED) {
 
 		this.alexa = new AlexaRemote().setMaxListeners(32);
 		this.emitter = new EventEmitter().setMaxListeners(128);
+		// shared by all routine nodes so their speech doesn't overlap on the same device
+		this.speechQueue = new SpeechQueue(serials => this.alexa.stopDevicesExt(serials));
+		// snapshots of echo nodes by name, kept here so they survive initialising again
+		this.snapshots = new Map();
 		this.initing = false;
 		this.state = { code: 'UNINITIALISED', message: '' };
 		this.debugCb = tools.nodeGetDebugCb(this);
@@ -398,6 +408,8 @@ module.exports = function (RED) {
       this.ui.bluetooth      = JSON.stringify({});
       this.ui.errors         = JSON.stringify({});
       this.ui.skills         = JSON.stringify([]);
+      this.ui.operations     = JSON.stringify({ operations: [], prompts: [], phrases: [], sounds: [] });
+      this.ui.routineSounds  = JSON.stringify({});
 
 			this.errorMessages = {};
 
@@ -499,6 +511,8 @@ module.exports = function (RED) {
 			this.alexa.on('change-device', _ => this.builders.devices().catch(this.warnCb));
 			this.alexa.on('change-smarthome', _ => this.builders.smarthome().catch(this.warnCb));
 			this.alexa.on('change-notification', _ => this.builders.notifications().catch(this.warnCb));
+			// routines are already up to date when this fires, so don't fetch them again
+			this.alexa.on('change-routine', _ => this.builders.routines(false).catch(this.warnCb));
 
 			// see above why
 			if(alexa !== this.alexa) {
@@ -539,6 +553,7 @@ module.exports = function (RED) {
 		};
 
 		this.on('close', function () {
+			this.speechQueue.clear();
 			this.resetAlexa();
 		});
 		
@@ -564,8 +579,36 @@ module.exports = function (RED) {
 	RED.httpAdmin.get('/alexa-remote-bluetooth.json',      RED.auth.needsPermission('alexa-remote.read'), (req, res) => accountHttpResponse(RED, 'bluetooth', 'Bluetooth Devices', req, res));
 	RED.httpAdmin.get('/alexa-remote-notifications.json',  RED.auth.needsPermission('alexa-remote.read'), (req, res) => accountHttpResponse(RED, 'notifications', 'Notifications', req, res));
 	RED.httpAdmin.get('/alexa-remote-lists.json',          RED.auth.needsPermission('alexa-remote.read'), (req, res) => accountHttpResponse(RED, 'lists', 'Lists', req, res));
+	RED.httpAdmin.get('/alexa-remote-operations.json',     RED.auth.needsPermission('alexa-remote.read'), (req, res) => accountHttpResponse(RED, 'operations', 'Operations', req, res));
+	RED.httpAdmin.get('/alexa-remote-routine-sounds.json', RED.auth.needsPermission('alexa-remote.read'), (req, res) => accountHttpResponse(RED, 'routineSounds', 'Routine Sounds', req, res));
+
+	// routines are converted on demand, the editor only imports one at a time
+	RED.httpAdmin.get('/alexa-remote-routine-import.json', RED.auth.needsPermission('alexa-remote.read'), (req, res) => {
+		const account = RED.nodes.getNode(req.query.account);
+		const label = 'Routine';
+
+		if (!account) {
+			res.writeHeader(400, { 'Content-Type': 'text/plain' });
+			return res.end(`Could not load ${label}: Account not deployed!`);
+		}
+
+		if (account.state.code !== 'READY') {
+			res.writeHeader(400, { 'Content-Type': 'text/plain' });
+			return res.end(`Could not load ${label}: Account not initialised!`);
+		}
+
+		try {
+			const node = account.alexa.importRoutineExt(req.query.routine);
+			res.writeHeader(200, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify(node));
+		}
+		catch (error) {
+			res.writeHeader(400, { 'Content-Type': 'text/plain' });
+			res.end(`Could not load ${label}: "${error.message}"`);
+		}
+	});
 
-	// we request sounds on demand because they are per device
+	// we request notification sounds on demand because they are per device
 	RED.httpAdmin.get('/alexa-remote-sounds.json', RED.auth.needsPermission('alexa-remote.read'), (req, res) => {
 		const account = RED.nodes.getNode(req.query.account);
 		const device = req.query.device;
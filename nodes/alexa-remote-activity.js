@@ -0,0 +1,105 @@
+const tools = require('../lib/common.js');
+
+// how many activity keys we remember to not send an activity twice, two per activity
+const MAX_SEEN = 2000;
+
+// websocket events and fetched activities can have different ids for the same activity,
+// so it is also recognised by device, time and transcript if it has a time
+function activityKeys(activity) {
+	if(!activity.timestamp) return [activity.id];
+	return [activity.id, `${activity.device.serialNumber}#${activity.timestamp}#${activity.transcript}`];
+}
+
+module.exports = function (RED) {
+	function AlexaRemoteActivityNode(input) {
+		RED.nodes.createNode(this, input);
+		tools.assign(this, ['source', 'interval'], input);
+		tools.assignNode(RED, this, ['account'], input);
+		if(!tools.nodeSetup(this, input, true)) return;
+
+		this.seen = new Set();
+		this.pollInterval = null;
+		this.alexa = null;
+		// the first fetch only remembers what already happened
+		this.primed = false;
+
+		this.remember = (id) => {
+			this.seen.add(id);
+			if(this.seen.size > MAX_SEEN) this.seen.delete(this.seen.values().next().value);
+		};
+
+		this.emitActivity = (activity) => {
+			const keys = activityKeys(activity);
+			if(keys.some(key => this.seen.has(key))) return;
+			for(const key of keys) this.remember(key);
+			if(!this.primed) return;
+
+			this.status({ fill: "green", shape: "dot", text: tools.ellipse(activity.transcript || 'activity', 32) });
+			setTimeout(() => this.status({ fill: "grey", shape: "dot", text: "listening" }), 2000);
+
+			this.send({
+				topic: activity.transcript,
+				payload: activity,
+			});
+		};
+
+		this.fetch = () => {
+			return this.account.alexa.getRecentActivitiesExt(10).then(activities => {
+				// oldest first so the messages are in the order things were said
+				for(const activity of activities.reverse()) this.emitActivity(activity);
+				this.primed = true;
+			}).catch(error => tools.nodeWarn(this, error));
+		};
+
+		this.onDeviceActivity = (payload) => {
+			const activity = this.account.alexa.parseActivityExt(payload);
+			// without a time it would not be recognised once fetched, so the fetch reports it
+			if(this.primed && activity.transcript && activity.timestamp) return this.emitActivity(activity);
+			this.fetch();
+		};
+
+		this.stopPolling = () => {
+			if(this.pollInterval === null) return;
+			clearInterval(this.pollInterval);
+			this.pollInterval = null;
+		};
+
+		this.onStatus = (code) => {
+			if(code !== 'READY') return this.stopPolling();
+
+			this.status({ fill: "yellow", shape: "dot", text: "starting listening" });
+			setTimeout(() => this.status({ fill: "grey", shape: "dot", text: "listening" }), 2000);
+
+			// the account creates a new alexa object on every initialisation
+			if(this.alexa) this.alexa.removeListener('ws-device-activity', this.onDeviceActivity);
+			this.alexa = this.account.alexa;
+			this.stopPolling();
+
+			if(this.source === 'events') {
+				this.alexa.addListener('ws-device-activity', this.onDeviceActivity);
+			}
+			else {
+				const seconds = Math.max(Number(this.interval) || 0, 5);
+				this.pollInterval = setInterval(() => this.fetch(), seconds * 1000);
+			}
+
+			this.fetch();
+		};
+
+		if(this.source === 'events' && !this.account.useWsMqtt) {
+			return this.status({ fill: "red", shape: "dot", text: "events not supported by account" });
+		}
+
+		this.account.emitter.removeListener('state', this.onStatus);
+		this.account.emitter.addListener('state', this.onStatus);
+		const {code, message} = this.account.state;
+		this.onStatus(code, message);
+
+		this.on('close', function() {
+			this.stopPolling();
+			if(this.alexa) this.alexa.removeListener('ws-device-activity', this.onDeviceActivity);
+			this.account.emitter.removeListener('state', this.onStatus);
+		});
+	}
+	RED.nodes.registerType("alexa-remote-activity", AlexaRemoteActivityNode);
+};
\ No newline at end of file
@@ -109,6 +109,22 @@ module.exports = function (RED) {
 				case 'alarmVolume': 
 					if(!tools.matches(value, { device: '', volume: 50 })) return error(`invalid input: "${JSON.stringify(config)}"`);
 					return alexa.setAlarmVolumePromise(value.device, value.volume).then(send).catch(error);
+
+				case 'snapshot':
+					if(!tools.matches(value, { name: '', devices: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.takeSnapshotExt(value.name, value.devices).then(snapshot => {
+						this.account.snapshots.set(snapshot.name, snapshot);
+						tools.nodeSend(this, msg, snapshot, `${snapshot.devices.length} devices`);
+					}).catch(error);
+
+				case 'restore':
+					if(!tools.matches(value, { name: '', keep: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					if(!this.account.snapshots.has(value.name)) return error(`snapshot not found: "${value.name}"`);
+					return alexa.restoreSnapshotExt(this.account.snapshots.get(value.name), this.account.locale || 'en-US').then(results => {
+						if(value.keep !== true) this.account.snapshots.delete(value.name);
+						const failed = results.filter(o => !o.success).length;
+						tools.nodeSend(this, msg, results, `${results.length - failed}/${results.length} restored`);
+					}).catch(error);
 			}
 		});
 	}
@@ -0,0 +1,139 @@
+const tools = require('../lib/common.js');
+
+// longest delay setTimeout can handle
+const MAX_TIMEOUT = 2147483647;
+
+function getLabel(notification) {
+	return (notification.type === 'Timer' ? notification.timerLabel : notification.reminderLabel) || null;
+}
+
+module.exports = function (RED) {
+	function AlexaRemoteNotificationNode(input) {
+		RED.nodes.createNode(this, input);
+		tools.assign(this, ['filter'], input);
+		tools.assignNode(RED, this, ['account'], input);
+		if(!tools.nodeSetup(this, input, true)) return;
+
+		// notificationIndex => cloned notification, what we have last seen
+		this.snapshot = new Map();
+		// notificationIndex => timeout that fires when the notification rings
+		this.ringTimeouts = new Map();
+		this.alexa = null;
+
+		this.accepts = (notification) => !this.filter || this.filter === 'all' || notification.type === this.filter;
+
+		this.emitNotification = (event, notification, previous) => {
+			if(!this.accepts(notification)) return;
+
+			const alexa = this.account.alexa;
+			const device = alexa.find(notification.deviceSerialNumber);
+
+			this.status({ fill: "green", shape: "dot", text: `${event}: ${getLabel(notification) || notification.type}` });
+			setTimeout(() => this.status({ fill: "grey", shape: "dot", text: "listening" }), 2000);
+
+			this.send({
+				topic: event,
+				payload: {
+					event: event,
+					id: notification.notificationIndex,
+					type: notification.type,
+					label: getLabel(notification),
+					status: notification.status,
+					device: {
+						serialNumber: notification.deviceSerialNumber,
+						name: device && device.accountName || null,
+					},
+					triggerTime: alexa.getNotificationTriggerTimeExt(notification),
+					notification: notification,
+					previous: previous,
+				}
+			});
+		};
+
+		this.clearRingTimeouts = () => {
+			for(const timeout of this.ringTimeouts.values()) clearTimeout(timeout);
+			this.ringTimeouts.clear();
+		};
+
+		this.scheduleRing = (notification, time) => {
+			const now = Date.now();
+			if(!time || time < now || time - now > MAX_TIMEOUT) return;
+
+			this.ringTimeouts.set(notification.notificationIndex, setTimeout(() => {
+				this.ringTimeouts.delete(notification.notificationIndex);
+				this.emitNotification('ringing', notification);
+				// recurring ones ring again without amazon telling us
+				this.scheduleRing(notification, this.account.alexa.getNextNotificationTriggerTimeExt(notification, time));
+			}, time - now));
+		};
+
+		this.scheduleRinging = () => {
+			this.clearRingTimeouts();
+			const alexa = this.account.alexa;
+			const now = Date.now();
+
+			for(const notification of alexa.notificationByIdExt.values()) {
+				const time = alexa.getNotificationTriggerTimeExt(notification);
+				this.scheduleRing(notification, time && time < now ? alexa.getNextNotificationTriggerTimeExt(notification, now) : time);
+			}
+		};
+
+		this.takeSnapshot = () => {
+			this.snapshot = new Map(Array.from(this.account.alexa.notificationByIdExt.values(), o => [o.notificationIndex, tools.clone(o)]));
+		};
+
+		this.onNotificationChange = () => {
+			const previousById = this.snapshot;
+			const currentById = this.account.alexa.notificationByIdExt;
+
+			for(const [id, previous] of previousById) {
+				if(!currentById.has(id)) this.emitNotification('deleted', previous);
+			}
+
+			for(const [id, current] of currentById) {
+				const previous = previousById.get(id);
+
+				if(!previous) {
+					this.emitNotification('created', current);
+				}
+				else if(current.snoozedToTime && current.snoozedToTime !== previous.snoozedToTime) {
+					this.emitNotification('snoozed', current, previous);
+				}
+				else if(String(current.version) !== String(previous.version) || JSON.stringify(current) !== JSON.stringify(previous)) {
+					this.emitNotification('updated', current, previous);
+				}
+			}
+
+			this.takeSnapshot();
+			this.scheduleRinging();
+		};
+
+		this.onStatus = (code) => {
+			if(code !== 'READY') return;
+
+			this.status({ fill: "yellow", shape: "dot", text: "starting listening" });
+			setTimeout(() => this.status({ fill: "grey", shape: "dot", text: "listening" }), 2000);
+
+			// the account creates a new alexa object on every initialisation
+			if(this.alexa) this.alexa.removeListener('change-notification', this.onNotificationChange);
+			this.alexa = this.account.alexa;
+			this.alexa.addListener('change-notification', this.onNotificationChange);
+
+			// the current state is our starting point, we only report what changes from here on
+			this.takeSnapshot();
+			this.scheduleRinging();
+		};
+
+		this.account.emitter.removeListener('state', this.onStatus);
+		this.account.emitter.addListener('state', this.onStatus);
+		const {code, message} = this.account.state;
+		this.onStatus(code, message);
+
+		this.on('close', function() {
+			this.clearRingTimeouts();
+			if(this.alexa) this.alexa.removeListener('change-notification', this.onNotificationChange);
+			this.account.emitter.removeListener('state', this.onStatus);
+		});
+	}
+	RED.nodes.registerType("alexa-remote-notification", AlexaRemoteNotificationNode);
+};
\ No newline at end of file
@@ -8,6 +8,21 @@ module.exports = function (RED) {
 		tools.assignNode(RED, this, ['account'], input);
 		if(!tools.nodeSetup(this, input, true)) return;
 
+		this.tickInterval = null;
+		this.stopTicking = () => {
+			if(this.tickInterval === null) return;
+			clearInterval(this.tickInterval);
+			this.tickInterval = null;
+		};
+		this.on('close', () => this.stopTicking());
+
+		// editor sends { provider, search }, an empty provider means no music or unchanged
+		this.nativizeMusic = (music) => {
+			if(!music || !music.provider) return undefined;
+			if(music.provider === 'none') return 'none';
+			return { provider: music.provider, search: music.search, locale: this.account.locale || 'en-US' };
+		};
+
 		this.on('input', function (msg) {
 			const send = tools.nodeGetSendCb(this, msg);
 			const error = tools.nodeGetErrorCb(this);
@@ -27,11 +42,41 @@ module.exports = function (RED) {
 						case 'contacts': 						return alexa.getContactsPromise						().then(send).catch(error);
 						case 'conversations': 			return alexa.getConversationsPromise			().then(o => o.conversations).then(send).catch(error);
 						case 'automationRoutines': 	return alexa.getAutomationRoutinesPromise	().then(send).catch(error);
+						case 'routines':						return alexa.initRoutinesExt							().then(() => alexa.describeRoutinesExt()).then(send).catch(error);
 						case 'musicProviders': 			return alexa.getMusicProvidersPromise			().then(send).catch(error);
 						case 'homeGroup':						return alexa.getHomeGroupPromise					().then(send).catch(error);
 						case 'notifications':				return alexa.getNotificationsPromise			().then(o => o.notifications).then(send).catch(error);
 						case 'skills':							return alexa.getSkillsExt									().then(send).catch(error);
 
+						case 'timers': {
+							if(!tools.matches(value, { device: undefined, tick: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+							const tick = Number(value.tick) * 1000;
+							this.stopTicking();
+
+							return alexa.initNotificationsExt().then(() => {
+								const timers = alexa.getTimersExt(value.device);
+								send(timers);
+								if(!tick || !timers.find(timer => !timer.paused)) return;
+
+								// keep sending the countdown until no timer is running anymore
+								this.tickInterval = setInterval(() => {
+									try {
+										const timers = this.account.alexa.getTimersExt(value.device);
+										tools.nodeSend(this, RED.util.cloneMessage(msg), timers, `${timers.length} timers`);
+										if(!timers.find(timer => !timer.paused)) this.stopTicking();
+									}
+									catch(e) {
+										this.stopTicking();
+										error(e);
+									}
+								}, Math.max(tick, 1000));
+							}).catch(error);
+						}
+
+						case 'routine':
+							if(!tools.matches(value, { routine: '' })) return error(`invalid input: "${JSON.stringify(config)}"`);
+							return Promise.resolve().then(() => alexa.importRoutineExt(value.routine)).then(send).catch(error);
+
 						case 'list':
 							if(!tools.matches(value, { list: '' })) return error(`invalid input: "${JSON.stringify(config)}"`);
 							return alexa.getListExt(value.list).then(o => o.values).then(send).catch(error);
@@ -53,17 +98,54 @@ module.exports = function (RED) {
 					return alexa.addListItemExt(value.list, value.text).then(send).catch(error);
 
 				case 'addNotification':
-					if(!tools.matches(value, {  type: '', label: '', time: undefined, device: '', status: '', sound: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
-					return alexa.createNotificationExt(value.device, value.type, value.label, value.time, value.status.toUpperCase(), value.sound).then(send).catch(error);
+					if(!tools.matches(value, {  type: '', label: '', time: undefined, device: '', status: '', sound: undefined, recurrence: undefined, music: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.createNotificationExt(value.device, value.type, value.label, value.time, value.status.toUpperCase(), value.sound, value.recurrence, this.nativizeMusic(value.music)).then(send).catch(error);
 
 				case 'changeNotification': 
-					if(!tools.matches(value, { notification: undefined, label: '', time: undefined, status: '', sound: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
-					return alexa.changeNotificationExt(value.notification, value.label, value.time, value.status.toUpperCase(), value.sound).then(send).catch(error);
+					if(!tools.matches(value, { notification: undefined, label: '', time: undefined, status: '', sound: undefined, recurrence: undefined, music: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.changeNotificationExt(value.notification, value.label, value.time, value.status.toUpperCase(), value.sound, value.recurrence, this.nativizeMusic(value.music)).then(send).catch(error);
 
 				case 'removeNotification': 
 					if(!tools.matches(value, { notification: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
 					return alexa.deleteNotificationExt(value.notification).then(send).catch(error);
 
+				case 'bulkNotifications':
+					if(!tools.matches(value, { action: '', type: undefined, device: undefined, status: undefined, label: undefined, expired: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.bulkNotificationsExt(value.action, value).then(results => {
+						const failed = results.filter(o => !o.success).length;
+						tools.nodeSend(this, msg, results, `${results.length - failed}/${results.length} ${value.action}d`);
+					}).catch(error);
+
+				case 'exportNotifications':
+					if(!tools.matches(value, { type: undefined, device: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.exportNotificationsExt(value).then(document => {
+						tools.nodeSend(this, msg, document, `${document.notifications.length} exported`);
+					}).catch(error);
+
+				case 'importNotifications':
+					if(!tools.matches(value, { document: {}, devices: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.importNotificationsExt(value.document, value.devices || {}, this.account.locale || 'en-US').then(results => {
+						const created = results.filter(o => o.id).length;
+						tools.nodeSend(this, msg, results, `${created}/${results.length} imported`);
+					}).catch(error);
+
+				case 'snoozeNotification':
+					if(!tools.matches(value, { notification: undefined, minutes: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.snoozeNotificationExt(value.notification, value.minutes).then(send).catch(error);
+
+				case 'dismissNotification':
+					if(!tools.matches(value, { notification: undefined })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.dismissNotificationExt(value.notification).then(send).catch(error);
+
+				case 'deleteRoutine':
+					if(!tools.matches(value, { routine: '' })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.deleteRoutineExt(value.routine).then(send).catch(error);
+
+				case 'enableRoutine':
+				case 'disableRoutine':
+					if(!tools.matches(value, { routine: '' })) return error(`invalid input: "${JSON.stringify(config)}"`);
+					return alexa.setRoutineEnabledExt(value.routine, option === 'enableRoutine').then(send).catch(error);
+
 				case 'sendTextMessage': 
 					if(!tools.matches(value, { conversation: '', text: '' })) return error(`invalid input: "${JSON.stringify(config)}"`);
 					return alexa.sendTextMessagePromise(value.conversation, value.text).then(send).catch(error);
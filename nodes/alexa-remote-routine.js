@@ -1,9 +1,155 @@
 const tools = require('../lib/common.js');
+const SpeechQueue = require('../lib/speech-queue.js');
+
+// longer texts are cut off or rejected by alexa
+const SPEAK_MAX_LENGTH = 250;
+
+// repeat is unrolled into a copy of its children per run, more would only build sequences alexa rejects
+const REPEAT_MAX_COUNT = 50;
+
+// sequence nodes that make the echo speak or play something
+const QUIET_TYPES = ['speak', 'speakAtVolume', 'sound', 'prompt'];
+
+// compares like the switch node would, values from the editor are often strings
+function testCondition(actual, operator, expected) {
+	const text = (x) => String(x).toLowerCase();
+
+	switch (operator) {
+		case 'eq':     return text(actual) === text(expected);
+		case 'neq':    return text(actual) !== text(expected);
+		case 'lt':     return Number(actual) < Number(expected);
+		case 'lte':    return Number(actual) <= Number(expected);
+		case 'gt':     return Number(actual) > Number(expected);
+		case 'gte':    return Number(actual) >= Number(expected);
+		case 'cont':   return Array.isArray(actual) ? actual.some(x => text(x) === text(expected)) : text(actual).includes(text(expected));
+		case 'true':   return text(actual) === 'true';
+		case 'false':  return text(actual) === 'false';
+		case 'exists': return actual !== undefined && actual !== null;
+		default: throw new Error(`invalid operator: "${operator}"`);
+	}
+}
+
+// alexa fills these in with the echo that was spoken to when a saved routine runs
+const CURRENT_DEVICE = /ALEXA_CURRENT_(DSN|DEVICE_TYPE|LOCALE)/;
+
+function replaceCurrentDevice(native, device, locale) {
+	const result = tools.clone(native);
+	tools.mapObjectValues(result, (key, val) => {
+		if (key === 'deviceType' && val === 'ALEXA_CURRENT_DEVICE_TYPE') return device.deviceType;
+		if (key === 'deviceTypeId' && val === 'ALEXA_CURRENT_DEVICE_TYPE') return device.deviceType;
+		if (key === 'deviceSerialNumber' && val === 'ALEXA_CURRENT_DSN') return device.serialNumber;
+		if (key === 'locale' && val === 'ALEXA_CURRENT_LOCALE') return locale;
+		return val;
+	});
+	return result;
+}
+
+// end of the quiet hours from "hh:mm" start to end if date is within them, null otherwise
+function quietHoursEnd(start, end, date = new Date()) {
+	const toMinutes = (time) => {
+		const match = /^(\d{1,2}):(\d{2})$/.exec(typeof time === 'string' ? time.trim() : '');
+		return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+	};
+
+	const from = toMinutes(start);
+	const to = toMinutes(end);
+	if (isNaN(from) || isNaN(to) || from === to) return null;
+
+	const now = date.getHours() * 60 + date.getMinutes();
+	const quiet = from < to ? now >= from && now < to : now >= from || now < to;
+	if (!quiet) return null;
+
+	const result = new Date(date);
+	result.setHours(Math.floor(to / 60), to % 60, 0, 0);
+	if (result <= date) result.setDate(result.getDate() + 1);
+	return result;
+}
+
+function ssmlTagName(tag) {
+	const match = tag.match(/^<\/?\s*([^\s/>]+)/);
+	return match && match[1];
+}
+
+// splits text into chunks of at most max characters, at sentence boundaries if possible,
+// ssml tags that are open at the end of a chunk are closed and reopened in the next one
+function splitSpeech(text, ssml = false, max = SPEAK_MAX_LENGTH) {
+	if (typeof text !== 'string' || text.length <= max) return [text];
+
+	let wrapped = false;
+	if (ssml) {
+		const match = text.trim().match(/^<speak>([\s\S]*)<\/speak>$/);
+		if (match) {
+			text = match[1];
+			wrapped = true;
+			max -= '<speak></speak>'.length;
+		}
+	}
+
+	const tokens = [];
+	for (const token of ssml ? text.match(/<[^>]*>|<|[^<]+/g) || [] : [text]) {
+		if (ssml && token.length > 1 && token.startsWith('<')) {
+			tokens.push({ tag: token });
+			continue;
+		}
+
+		for (const sentence of token.split(/(?<=[.!?…]\s+)(?=\S)/)) {
+			if (sentence.length <= max) {
+				tokens.push({ text: sentence });
+				continue;
+			}
+
+			for (const word of sentence.split(/(?<=\s)(?=\S)/)) {
+				for (let i = 0; i < word.length; i += max) tokens.push({ text: word.slice(i, i + max) });
+			}
+		}
+	}
+
+	const chunks = [];
+	const stack = [];
+	const opening = () => stack.join('');
+	const closing = () => stack.map(tag => `</${ssmlTagName(tag)}>`).reverse().join('');
+	let chunk = '';
+	let hasText = false;
+
+	const flush = () => {
+		const content = (chunk + closing()).trim();
+		chunks.push(wrapped ? `<speak>${content}</speak>` : content);
+		chunk = opening();
+		hasText = false;
+	};
+
+	for (const token of tokens) {
+		if (token.tag) {
+			const closes = token.tag.startsWith('</');
+			const opens = !closes && !/^<[?!]|\/\s*>$/.test(token.tag);
+			const closer = opens ? `</${ssmlTagName(token.tag)}>` : '';
+			if (!closes && hasText && (chunk + token.tag + closer + closing()).trim().length > max) flush();
+
+			chunk += token.tag;
+			if (closes) {
+				const index = stack.map(ssmlTagName).lastIndexOf(ssmlTagName(token.tag));
+				if (index !== -1) stack.splice(index);
+			}
+			else if (opens) {
+				stack.push(token.tag);
+			}
+			continue;
+		}
+
+		if (hasText && (chunk + token.text + closing()).trim().length > max) flush();
+		chunk += token.text;
+		hasText = hasText || token.text.trim().length !== 0;
+	}
+
+	// whatever is left without text are only closing or empty tags
+	if (hasText) flush();
+	return chunks;
+}
 
 module.exports = function (RED) {
 	function AlexaRemoteRoutine(input) {
 		RED.nodes.createNode(this, input);
-		tools.assign(this, ['routineNode'], input);
+		tools.assign(this, ['routineNode', 'lastActiveMaxAge', 'action', 'quietHours'], input);
 		tools.assignNode(RED, this, ['account'], input);
 		if (!tools.nodeSetup(this, input, true)) return;
 
@@ -12,6 +158,22 @@ module.exports = function (RED) {
 		const warn = tools.nodeGetWarnCb(this);
 		const error = tools.nodeGetErrorCb(this);
 
+		// sequences of this node that wait in the account's speech queue
+		let queued = 0;
+		const onQueueChange = () => {
+			if (queued !== 0) this.status({ shape: 'ring', fill: 'blue', text: `queued (${queued} waiting)` });
+		};
+		this.account.speechQueue.addListener('change', onQueueChange);
+
+		// messages held back until the quiet hours end
+		const delays = new Set();
+
+		this.on('close', () => {
+			this.account.speechQueue.removeListener('change', onQueueChange);
+			for (const timeout of delays) clearTimeout(timeout);
+			delays.clear();
+		});
+
 		this.on('input', function (msg) {
 			const send = tools.nodeGetSendCb(this, msg);
 			if (this.account.state.code !== 'READY') return error('Account not initialised!');
@@ -19,10 +181,42 @@ module.exports = function (RED) {
 			const alexa = this.account.alexa;
 			const raw = this.routineNode;
 			const evaluated = tools.nodeEvaluateProperties(RED, this, msg, this.routineNode);
+			// execute the sequence or save it as an alexa routine
+			const action = tools.nodeEvaluateProperties(RED, this, msg, this.action || { option: 'execute' });
+			// a dry run builds the native sequence without executing or saving it
+			const dryRun = action.option === 'dryRun' || msg.dryRun === true;
+			const warnings = [];
+			const warning = (message, quiet = false) => {
+				warnings.push(message);
+				if(!dryRun && !quiet) warn(message);
+			};
 			const customerId = alexa.ownerCustomerId;
 			const locale = this.account.locale || 'en-US';
 
 			const deviceToVolume = new Map();
+			// undefined if the echo does not report its volume
+			const fetchVolume = async (device) => {
+				if (!deviceToVolume.has(device)) {
+					const media = await alexa.getMediaPromise(device);
+					if (tools.matches(media, { volume: 50 })) deviceToVolume.set(device, media.volume);
+				}
+				return deviceToVolume.get(device);
+			};
+			// resolved once per message so every node targets the same device
+			let lastActive = null;
+
+			// the node can override what the account does with speech during quiet hours, saving routines is never affected
+			const saving = action.option === 'create' || action.option === 'update';
+			const quietHours = saving || this.quietHours === 'off' ? null
+				: this.quietHours && this.quietHours !== 'account' ? Object.assign({}, this.account.quietHours, { action: this.quietHours })
+				: this.account.quietHours;
+			// fetched once per message and only if needed
+			let doNotDisturb = null;
+			// replacements for quiet devices are not checked again
+			let quietExempt = 0;
+			let delayUntil = 0;
+			// steps for quiet devices, sent on their own once the quiet hours end
+			const delayedNodes = [];
 
 			function nativizePromptType(prompt) {
 				switch (prompt) {
@@ -40,10 +234,20 @@ module.exports = function (RED) {
 					case 'funFact':          return 'Alexa.FunFact.Play';
 					case 'cleanUp':          return 'Alexa.CleanUp.Play';
 					case 'imHome':           return 'Alexa.ImHome.Play';
-					default: throw new Error(`invalid prompt: "${prompt}"`);
 				}
+
+				// anything else must have been discovered by the account
+				if (alexa.operationsExt.prompts.some(([type]) => type === prompt)) return prompt;
+				throw new Error(`invalid prompt: "${prompt}"`);
 			}
 			const find = (id) => {
+				if (id === 'ALEXA_LAST_ACTIVE') return lastActive;
+				if (id === 'ALEXA_CURRENT_DSN') return {
+					serialNumber: 'ALEXA_CURRENT_DSN',
+					deviceType: 'ALEXA_CURRENT_DEVICE_TYPE',
+					clusterMembers: [],
+					deviceOwnerCustomerId: customerId,
+				};
 				const device = alexa.find(id);
 				if (!device) throw new Error(`could not find device: "${id}"`);
 				return device;
@@ -73,12 +277,170 @@ module.exports = function (RED) {
 				return devices;
 			};
 
+			// the value an if node tests, checked when the sequence is built
+			const conditionValue = async (condition) => {
+				const property = String(condition.property || '');
+				const path = (obj) => property.split('.').filter(key => key).reduce((o, key) => o === undefined || o === null ? undefined : o[key], obj);
+
+				switch (condition.source) {
+					case 'msg':
+						return RED.util.getMessageProperty(msg, property || 'payload');
+					case 'media': {
+						const media = await alexa.getMediaPromise(find(condition.device));
+						return property ? path(media) : media && media.currentState;
+					}
+					case 'smarthome': {
+						const entity = alexa.findSmarthomeEntityExt(condition.entity);
+						if (!entity) throw new Error(`smarthome entity not found: "${condition.entity}"`);
+						if (entity.type !== 'APPLIANCE') throw new Error(`can only test smarthome devices: "${entity.name}"`);
+
+						const response = await alexa.querySmarthomeDevicesExt([{ entityType: entity.type, entityId: entity.applianceId }]);
+						const state = tools.matches(response, { deviceStates: [{ capabilityStates: [''] }] }) && response.deviceStates[0];
+						if (!state) throw new Error(`no state for smarthome device: "${entity.name}"`);
+
+						const properties = state.capabilityStates
+							.map(json => tools.tryParseJson(json))
+							.filter(cap => tools.isObject(cap))
+							.reduce((o, cap) => (o[cap.name] = cap.value, o), {});
+
+						return property ? path(properties) : properties;
+					}
+					default: throw new Error(`invalid condition source: "${condition.source}"`);
+				}
+			};
+
+			const isDoNotDisturb = async (device) => {
+				if (!quietHours.dnd || device.serialNumber === 'ALEXA_ALL_DSN') return false;
+
+				if (!doNotDisturb) doNotDisturb = alexa.getDoNotDisturbPromise().then(response => {
+					return new Set(response.doNotDisturbDeviceStatusList.filter(o => o.enabled).map(o => o.deviceSerialNumber));
+				}).catch(e => {
+					warning(`could not fetch do not disturb states: ${e && e.message || e}`);
+					return new Set();
+				});
+
+				return (await doNotDisturb).has(device.serialNumber);
+			};
+
+			const lowerVolume = async (node, devices) => {
+				const volume = tools.clamp(Number(quietHours.volume) || 0, 0, 100);
+				const payload = Object.assign({}, node.payload, { device: undefined, devices: devices });
+
+				if (node.type === 'speak' || node.type === 'speakAtVolume') return {
+					type: 'speakAtVolume',
+					payload: {
+						type: node.payload.type,
+						text: node.payload.text,
+						volume: node.type === 'speakAtVolume' && node.payload.mode !== 'add' ? Math.min(node.payload.volume, volume) : volume,
+						devices: devices,
+					}
+				};
+
+				const restore = [];
+				for (const device of devices) {
+					const previous = await fetchVolume(device);
+
+					if (previous !== undefined) {
+						restore.push({ type: 'volume', payload: { value: previous, device: device } });
+					}
+					else {
+						warning(`could not fetch volume for device "${device.accountName || device.serialNumber}", it will stay lowered`);
+					}
+				}
+
+				return {
+					type: 'node',
+					payload: {
+						type: 'serial',
+						children: [
+							{ type: 'volume', payload: { value: volume, devices: devices } },
+							{ type: node.type, payload: payload },
+							{ type: 'node', payload: { type: 'parallel', children: restore } },
+						]
+					}
+				};
+			};
+
+			// returns the node unchanged if none of its devices are quiet, or what to do instead (null to drop it)
+			const applyQuietHours = async (node) => {
+				if (!quietHours || !quietHours.action || quietHours.action === 'off') return node;
+
+				const ids = node.payload.devices || node.payload.device;
+				const devices = findAll(Array.isArray(ids) ? ids : ids ? [ids] : []);
+				// no devices means all devices for announcements
+				const targets = devices.length === 0 ? findAll(['ALEXA_ALL_DSN']) : devices;
+				const end = quietHoursEnd(quietHours.start, quietHours.end);
+
+				const quiet = [];
+				const loud = [];
+				for (const device of targets) {
+					(end || await isDoNotDisturb(device) ? quiet : loud).push(device);
+				}
+				if (quiet.length === 0) return node;
+
+				const reason = end ? 'quiet hours' : 'do not disturb';
+				const names = quiet.map(device => device.accountName || device.serialNumber).join('", "');
+				const all = quiet[0].serialNumber === 'ALEXA_ALL_DSN';
+				const withDevices = (devices) => ({ type: node.type, payload: Object.assign({}, node.payload, { device: undefined, devices: devices }) });
+				let replacement = null;
+
+				switch (quietHours.action) {
+					case 'drop':
+						warning(`${reason}, dropped ${node.type} on "${names}"`);
+						break;
+					case 'delay':
+						if (end) {
+							delayUntil = Math.max(delayUntil, end.getTime());
+							delayedNodes.push(withDevices(quiet));
+							break;
+						}
+						warning(`${reason} has no end, dropped ${node.type} on "${names}"`);
+						break;
+					case 'lower':
+						if (all) {
+							warning(`${reason}, can not lower the volume of all devices, ${node.type} is not changed`);
+							return node;
+						}
+						replacement = await lowerVolume(node, quiet);
+						break;
+					case 'push':
+						if (node.type !== 'speak' && node.type !== 'speakAtVolume') {
+							warning(`${reason}, can not send ${node.type} as push notification, dropped it on "${names}"`);
+							break;
+						}
+						warning(`${reason}, sent ${node.type} on "${names}" as push notification`);
+						replacement = { type: 'pushNotification', payload: { text: String(node.payload.text).replace(/<[^>]+>/g, ''), title: 'Node-RED' } };
+						break;
+					default:
+						throw new Error(`invalid quiet hours action: "${quietHours.action}"`);
+				}
+
+				const children = [loud.length !== 0 && withDevices(loud), replacement].filter(child => child);
+				if (children.length === 0) return null;
+				if (children.length === 1) return children[0];
+				return { type: 'node', payload: { type: 'parallel', children: children } };
+			};
+
 			async function nativizeNode(node) {
 				const invalid = (expected) => new Error(`invalid sequence node: "${JSON.stringify(node)}" expected layout: "${JSON.stringify(expected)}"`);
 				const check = (template) => { if (!tools.matches(node, template)) throw invalid(template); };
 				const checkPayload = (template) => { if (!tools.matches(node.payload, template)) throw invalid(template); };
 				check({ type: '', payload: {} });
 
+				if (QUIET_TYPES.includes(node.type) && quietExempt === 0) {
+					const replacement = await applyQuietHours(node);
+					if (!replacement) return undefined;
+
+					// what the node turns into was already checked, like the parts of a long text
+					quietExempt++;
+					try {
+						return await nativizeNode(replacement);
+					}
+					finally {
+						quietExempt--;
+					}
+				}
+
 				switch (node.type) {
 					case 'speak': {
 						if (!Array.isArray(node.payload.devices)) {
@@ -88,6 +450,23 @@ module.exports = function (RED) {
 						checkPayload({ type: '', text: '' });
 						const devices = findAll(node.payload.devices);
 
+						// long texts are spoken in order as several shorter ones
+						const chunks = splitSpeech(node.payload.text, node.payload.type === 'ssml');
+						if (chunks.length > 1 && (devices.length !== 0 || node.payload.type !== 'regular')) return await nativizeNode({
+							type: 'node',
+							payload: {
+								type: 'serial',
+								children: chunks.map(text => ({
+									type: 'speak',
+									payload: {
+										type: node.payload.type,
+										text: text,
+										devices: node.payload.devices,
+									}
+								}))
+							}
+						});
+
 						switch (node.payload.type) {
 							case 'regular':
 								if (devices.length === 0) return undefined;
@@ -171,7 +550,7 @@ module.exports = function (RED) {
 								devicesWithVolume.push(device);
 							}
 							else {
-								//warn(`could not fetch volume for device "${device.accountName || device.serialNumber}", falling back to regular speak`);
+								warning(`could not fetch volume for device "${device.accountName || device.serialNumber}", falling back to regular speak`, true);
 							}
 						}
 
@@ -335,7 +714,10 @@ module.exports = function (RED) {
 								customerId: devices[0].deviceOwnerCustomerId,
 								deviceType: devices[0].deviceType,
 								deviceSerialNumber: devices[0].serialNumber,
-								cannedTtsStringId: `alexa.cannedtts.speak.curatedtts-category-${node.payload.category}/alexa.cannedtts.speak.curatedtts-random`,
+								// discovered phrases come as full string ids
+								cannedTtsStringId: node.payload.category.startsWith('alexa.cannedtts.')
+									? node.payload.category
+									: `alexa.cannedtts.speak.curatedtts-category-${node.payload.category}/alexa.cannedtts.speak.curatedtts-random`,
 								locale: locale,
 							},
 							name: null
@@ -346,9 +728,9 @@ module.exports = function (RED) {
 							payload: {
 								type: 'parallel',
 								children: devices.map(device => ({
-									type: 'prompt',
+									type: 'phrase',
 									payload: {
-										type: node.payload.type,
+										category: node.payload.category,
 										device: device,
 									}
 								}))
@@ -369,7 +751,7 @@ module.exports = function (RED) {
 								customerId: devices[0].deviceOwnerCustomerId,
 								deviceType: devices[0].deviceType,
 								deviceSerialNumber: devices[0].serialNumber,
-								soundStringId: node.payload.sound,
+								soundStringId: alexa.findRoutineSoundExt(node.payload.sound),
 								locale: locale,
 							},
 							tag: null,
@@ -398,6 +780,45 @@ module.exports = function (RED) {
 						const devices = findAll(node.payload.devices);
 						if (devices.length === 0) return undefined;
 
+						if(node.payload.mode === 'fade') {
+							const duration = Number(node.payload.duration);
+							if (Number.isNaN(duration) || duration < 0) throw invalid();
+							const from = node.payload.from === undefined || node.payload.from === '' ? NaN : Number(node.payload.from);
+							// waits are whole seconds so there can't be more steps than seconds
+							const count = tools.clamp(Math.round(Number(node.payload.steps) || 10), 1, Math.max(1, Math.floor(duration)));
+							const wait = Math.round(duration / count);
+
+							const starts = new Map();
+							for (const device of devices) {
+								const start = Number.isNaN(from) ? await fetchVolume(device) : from;
+								if (start !== undefined) starts.set(device, start);
+								else warning(`could not fetch volume for device "${device.accountName || device.serialNumber}", ignoring this device...`);
+							}
+							if (starts.size === 0) return undefined;
+
+							const step = (i) => ({
+								type: 'node',
+								payload: {
+									type: 'parallel',
+									children: Array.from(starts, ([device, start]) => ({
+										type: 'volume',
+										payload: {
+											value: tools.clamp(Math.round(start + (volume - start) * i / count), 0, 100),
+											device: device,
+										}
+									}))
+								}
+							});
+
+							const children = Number.isNaN(from) ? [] : [step(0)];
+							for (let i = 1; i <= count; i++) {
+								if (wait > 0) children.push({ type: 'wait', payload: { time: wait } });
+								children.push(step(i));
+							}
+
+							return await nativizeNode({ type: 'node', payload: { type: 'serial', children: children } });
+						}
+
 						if(node.payload.mode === 'add') 
 						{
 							let devicesWithVolume = [];
@@ -415,7 +836,7 @@ module.exports = function (RED) {
 									devicesWithVolume.push(device);
 								}
 								else {
-									warn(`could not fetch volume for device "${device.accountName || device.serialNumber}", ignoring this device...`);
+									warning(`could not fetch volume for device "${device.accountName || device.serialNumber}", ignoring this device...`);
 								}
 							}
 
@@ -557,23 +978,29 @@ module.exports = function (RED) {
 						};
 					}
 					case 'routine': {
-						checkPayload({ routine: '', device: undefined });
+						checkPayload({ routine: undefined, device: undefined, mode: undefined });
+
+						if (Array.isArray(node.payload.routine)) {
+							return await nativizeNode({
+								type: 'node',
+								payload: {
+									type: node.payload.mode || 'serial',
+									children: node.payload.routine.map(routine => ({
+										type: 'routine',
+										payload: { routine: routine, device: node.payload.device }
+									}))
+								}
+							});
+						}
 
-						const device = find(node.payload.device);
 						const routine = alexa.findRoutineExt(node.payload.routine);
 						if (!routine) throw new Error(`could not find routine: "${node.payload.routine}"`);
-						
-						const routineNode = tools.clone(routine.sequence.startNode);
-	
-						tools.mapObjectValues(routineNode, (key, val) => {
-							if (key === 'deviceType' && val === 'ALEXA_CURRENT_DEVICE_TYPE') return device.deviceType;
-							if (key === 'deviceTypeId' && val === 'ALEXA_CURRENT_DEVICE_TYPE') return device.deviceType;
-							if (key === 'deviceSerialNumber' && val === 'ALEXA_CURRENT_DSN') return device.serialNumber;
-							if (key === 'locale' && val === 'ALEXA_CURRENT_LOCALE') return locale;
-							return val;
-						});
 
-						return routineNode;
+						// a saved routine keeps the echo that was spoken to unless a device is given,
+						// otherwise it runs on the echo of its own trigger and what is left is resolved when executing
+						const routineNode = routine.sequence.startNode;
+						const device = node.payload.device ? find(node.payload.device) : !saving && alexa.findRoutineDeviceExt(routine);
+						return device ? replaceCurrentDevice(routineNode, device, locale) : tools.clone(routineNode);
 					}
 					case 'skill': {
 						checkPayload({ skill: '', device: undefined });
@@ -598,6 +1025,85 @@ module.exports = function (RED) {
 							name: null
 						};
 					}
+					case 'operation': {
+						if (!Array.isArray(node.payload.devices)) node.payload.devices = [node.payload.devices || node.payload.device];
+						checkPayload({ operation: '', devices: [], parameters: undefined });
+						const operation = alexa.findOperationExt(node.payload.operation);
+						if (!operation) throw new Error(`unknown operation: "${node.payload.operation}"`);
+						const parameters = node.payload.parameters || {};
+						if (!tools.isObject(parameters)) throw invalid({ operation: '', devices: [], parameters: {} });
+
+						for (const [name, options] of Object.entries(operation.parameters)) {
+							if (parameters[name] === undefined || options.length === 0) continue;
+							if (!options.some(([value]) => value === parameters[name])) throw new Error(`invalid value for "${name}" of "${operation.type}": "${parameters[name]}"`);
+						}
+
+						const devices = findAll(node.payload.devices);
+						if(devices.length === 0) return undefined;
+
+						if (devices.length === 1) return {
+							'@type': 'com.amazon.alexa.behaviors.model.OpaquePayloadOperationNode',
+							type: operation.type,
+							skillId: operation.skillId || undefined,
+							operationPayload: Object.assign({}, parameters, {
+								deviceType: devices[0].deviceType,
+								deviceSerialNumber: devices[0].serialNumber,
+								locale: locale,
+								customerId: devices[0].deviceOwnerCustomerId,
+							}),
+							name: null
+						};
+
+						return await nativizeNode({
+							type: 'node',
+							payload: {
+								type: 'parallel',
+								children: devices.map(device => ({
+									type: 'operation',
+									payload: {
+										operation: node.payload.operation,
+										parameters: parameters,
+										device: device,
+									}
+								}))
+							}
+						});
+					}
+					case 'textCommand': {
+						if (!Array.isArray(node.payload.devices)) node.payload.devices = [node.payload.devices || node.payload.device];
+						checkPayload({ text: '', devices: [] });
+						const devices = findAll(node.payload.devices);
+						if(devices.length === 0) return undefined;
+
+						// as if the text was said to the echo
+						if (devices.length === 1) return {
+							'@type': 'com.amazon.alexa.behaviors.model.OpaquePayloadOperationNode',
+							type: 'Alexa.TextCommand',
+							skillId: 'amzn1.ask.1p.tellalexa',
+							operationPayload: {
+								deviceType: devices[0].deviceType,
+								deviceSerialNumber: devices[0].serialNumber,
+								locale: locale,
+								customerId: devices[0].deviceOwnerCustomerId,
+								text: node.payload.text.toLowerCase(),
+							},
+							name: null
+						};
+
+						return await nativizeNode({
+							type: 'node',
+							payload: {
+								type: 'parallel',
+								children: devices.map(device => ({
+									type: 'textCommand',
+									payload: {
+										text: node.payload.text,
+										device: device,
+									}
+								}))
+							}
+						});
+					}
 					case 'pushNotification': {
 						if (!tools.matches(node.payload, { text: '' })) throw invalid();
 
@@ -636,24 +1142,194 @@ module.exports = function (RED) {
 							name: null,
 						};
 					}
+					case 'if': {
+						checkPayload({ source: '', operator: '' });
+						const actual = await conditionValue(node.payload);
+						const branch = testCondition(actual, node.payload.operator, node.payload.value) ? node.payload.then : node.payload.else;
+						const children = Array.isArray(branch) ? branch : branch ? [branch] : [];
+
+						if (children.length === 0) return undefined;
+						if (children.length === 1) return await nativizeNode(children[0]);
+						return await nativizeNode({ type: 'node', payload: { type: 'serial', children: children } });
+					}
+					case 'repeat': {
+						checkPayload({ count: undefined, children: [] });
+						const count = Number(node.payload.count);
+						const wait = Number(node.payload.wait) || 0;
+						if (!Number.isInteger(count) || count < 1) throw invalid();
+						if (count > REPEAT_MAX_COUNT) throw new Error(`repeat count ${count} is more than ${REPEAT_MAX_COUNT}`);
+
+						const children = [];
+						for (let i = 0; i < count; i++) {
+							if (i !== 0 && wait > 0) children.push({ type: 'wait', payload: { time: wait } });
+							children.push(...node.payload.children);
+						}
+
+						return await nativizeNode({ type: 'node', payload: { type: 'serial', children: children } });
+					}
 					case 'custom': {
 						checkPayload({});
+						// native nodes like the ones left over when importing a routine are sent as they are
+						if (node.payload['@type']) return tools.clone(node.payload);
 						return await nativizeNode(node.payload);
 					}
 					default: throw invalid();
 				}
 			}
 
-			nativizeNode(evaluated).then(native => {
-				if(!native) { warn('no devices'); return; }
-				alexa.sendSequenceNodeExt(native).then(response => {
-					if(!tools.matches(response, { message: '' })) return response;
-					throw new Error(`Response: ${response.message}`);
-				}).then(send).catch(e => {
+			const resolveLastActive = JSON.stringify(evaluated).includes('ALEXA_LAST_ACTIVE')
+				? alexa.findLastActiveExt(Number(this.lastActiveMaxAge) || undefined).then(device => lastActive = device)
+				: Promise.resolve();
+
+			// directly executed sequences have no echo that was spoken to, the last active or primary echo stands in for it
+			const resolveCurrentDevice = async (native) => {
+				if (!CURRENT_DEVICE.test(JSON.stringify(native))) return native;
+				const device = await alexa.findLastActiveExt(Number(this.lastActiveMaxAge) || undefined).catch(() => alexa.findPrimaryEchoExt());
+				if (!device) throw new Error('no device for the echo that was spoken to');
+				return replaceCurrentDevice(native, device, locale);
+			};
+
+			const run = (native) => {
+				const value = action.value || {};
+
+				switch (action.option) {
+					case 'create':
+						return alexa.createRoutineExt(native, value.trigger, value.name, locale);
+					case 'update':
+						return alexa.updateRoutineExt(value.routine, native, value.trigger, value.name, locale);
+					default:
+						return resolveCurrentDevice(native).then(native => {
+							const execute = () => alexa.sendSequenceNodeExt(native).then(response => {
+								if(!tools.matches(response, { message: '' })) return response;
+								throw new Error(`Response: ${response.message}`);
+							});
+
+							const serials = SpeechQueue.speakingDevices(native);
+							if(!this.account.useSpeechQueue || serials.size === 0) return execute();
+
+							let started = false;
+							const job = () => {
+								started = true;
+								queued--;
+								this.status({ shape: 'dot', fill: 'grey', text: 'sending' });
+								return execute();
+							};
+
+							queued++;
+							return this.account.speechQueue.enqueue(serials, SpeechQueue.estimateDuration(native), job, msg.priority || 'normal').catch(e => {
+								if(!started) queued--;
+								throw e;
+							});
+						});
+				}
+			};
+
+			const delayed = () => delayUntil ? new Promise(resolve => {
+				this.status({ shape: 'ring', fill: 'blue', text: `delayed until ${new Date(delayUntil).toLocaleTimeString()}` });
+				const timeout = setTimeout(() => {
+					delays.delete(timeout);
+					resolve();
+				}, delayUntil - Date.now());
+				delays.add(timeout);
+			}) : Promise.resolve();
+
+			// a list of routines on its own is executed routine by routine so each gets a result,
+			// within other nodes or when saving it becomes a single sequence
+			if(!saving && evaluated.type === 'routine' && tools.isObject(evaluated.payload) && Array.isArray(evaluated.payload.routine)) {
+				const mode = evaluated.payload.mode || 'serial';
+				if(mode !== 'serial' && mode !== 'parallel') return error(`invalid routine mode: "${mode}"`);
+
+				const results = [];
+				const natives = [];
+
+				resolveLastActive.then(async () => {
+					for (const routine of evaluated.payload.routine) {
+						const found = alexa.findRoutineExt(routine);
+						const result = {
+							routine: routine,
+							id: found && found.automationId || null,
+							name: found && found.name || null,
+							success: true,
+							error: null,
+							response: null,
+						};
+
+						try {
+							natives.push(await nativizeNode({ type: 'routine', payload: { routine: routine, device: evaluated.payload.device } }));
+						}
+						catch (e) {
+							natives.push(null);
+							result.success = false;
+							result.error = e && e.message || String(e);
+						}
+
+						results.push(result);
+					}
+
+					if(dryRun) {
+						const routines = results.map((result, i) => Object.assign({}, result, {
+							sequence: natives[i] ? { '@type': 'com.amazon.alexa.behaviors.model.Sequence', startNode: natives[i] } : null
+						}));
+						tools.nodeSend(this, msg, { routines: routines, warnings: warnings }, `dry run: ${warnings.length} warnings`);
+						return;
+					}
+
+					const execute = (result, native) => run(native).then(response => result.response = response).catch(e => {
+						result.success = false;
+						result.error = e && e.message || String(e);
+					});
+
+					const pending = results.map((result, i) => [result, natives[i]]).filter(([result]) => result.success);
+					if(mode === 'parallel') {
+						await Promise.all(pending.map(([result, native]) => execute(result, native)));
+					}
+					else {
+						for (const [result, native] of pending) await execute(result, native);
+					}
+
+					const succeeded = results.filter(result => result.success).length;
+					tools.nodeSend(this, msg, results, `${succeeded}/${results.length} routines`);
+				}).catch(e => {
+					error(e);
+					log(`raw: "${JSON.stringify(raw)}"`);
+					log(`evaluated: "${JSON.stringify(evaluated)}"`);
+				});
+				return;
+			}
+
+			resolveLastActive.then(async () => {
+				const native = await nativizeNode(evaluated);
+				if(delayedNodes.length === 0) return [native, undefined];
+
+				// the delayed steps already went through the quiet hours
+				quietExempt++;
+				const later = await nativizeNode({ type: 'node', payload: { type: 'serial', children: delayedNodes } });
+				quietExempt--;
+				return [native, later];
+			}).then(([native, later]) => {
+				if(!native && !later) warning('no devices');
+
+				if(later) warning(`quiet hours, ${delayedNodes.length} steps delayed until ${new Date(delayUntil).toLocaleTimeString()}`, true);
+
+				if(dryRun) {
+					const sequence = native ? { '@type': 'com.amazon.alexa.behaviors.model.Sequence', startNode: native } : null;
+					const delayedSequence = later ? { '@type': 'com.amazon.alexa.behaviors.model.Sequence', startNode: later } : null;
+					tools.nodeSend(this, msg, { sequence: sequence, delayed: delayedSequence, warnings: warnings }, `dry run: ${warnings.length} warnings`);
+					return;
+				}
+
+				if(!native && !later) return;
+
+				// the output waits for the delayed steps, it has the response of the steps sent right away if there are any
+				Promise.all([
+					native && run(native),
+					later && delayed().then(() => run(later)),
+				]).then(([response, delayedResponse]) => send(native ? response : delayedResponse)).catch(e => {
 					error(e);
 					log(`raw: "${JSON.stringify(raw)}"`);
 					log(`evaluated: "${JSON.stringify(evaluated)}"`);
 					log(`native: "${JSON.stringify(native)}"`);
+					if(later) log(`delayed: "${JSON.stringify(later)}"`);
 				});
 			}).catch(e => {
 				error(e);
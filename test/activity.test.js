@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AlexaRemoteExt = require('../lib/alexa-remote-ext.js');
+const { createRED, createAccount, createDevice } = require('./helpers.js');
+
+const kitchen = createDevice('G090LF1234567890', 'Kitchen');
+
+function createAlexa(activities) {
+	// no need to connect, events are emitted by hand and fetches answered from the list
+	const alexa = Object.create(AlexaRemoteExt.prototype);
+	alexa.find = (id) => id === kitchen.serialNumber ? kitchen : undefined;
+	alexa.setLastActivityExt = () => {};
+	alexa.getActivitiesPromise = () => Promise.resolve(activities.slice());
+	return alexa;
+}
+
+function createActivityNode(alexa, sent) {
+	const RED = createRED(createAccount(alexa, { useWsMqtt: true }));
+	require('../nodes/alexa-remote-activity.js')(RED);
+	const node = {};
+	RED.types['alexa-remote-activity'].call(node, { account: 'account', source: 'events' });
+	node.send = (msg) => sent.push(msg.payload);
+	return node;
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('activity node', () => {
+	it('sends an event without a time and its fetched activity only once', async () => {
+		const activities = [];
+		const alexa = createAlexa(activities);
+		const sent = [];
+		const node = createActivityNode(alexa, sent);
+		await settle();
+
+		activities.unshift({
+			id: 'A3S5BH2HU6VAYF#G090LF1234567890#1760850000000',
+			creationTimestamp: 1760850000000,
+			description: JSON.stringify({ summary: 'turn on the light' }),
+			sourceDeviceIds: [{ serialNumber: kitchen.serialNumber }],
+		});
+		alexa.emit('ws-device-activity', { key: { entryId: 'event#1' }, deviceSerialNumber: kitchen.serialNumber, description: JSON.stringify({ summary: 'turn on the light' }) });
+		await settle();
+		alexa.emit('ws-device-activity', { key: { entryId: 'event#1' }, deviceSerialNumber: kitchen.serialNumber, description: JSON.stringify({ summary: 'turn on the light' }) });
+		await settle();
+
+		assert.deepStrictEqual(sent.map(o => o.transcript), ['turn on the light']);
+		assert.strictEqual(sent[0].timestamp, 1760850000000);
+		node.emit('close');
+	});
+});
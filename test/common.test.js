@@ -0,0 +1,26 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const tools = require('../lib/common.js');
+const { createRED } = require('./helpers.js');
+
+describe('common tools', () => {
+	it('matches objects against a template of types', () => {
+		assert.ok(tools.matches({ a: 1, b: { c: 'x' }, d: [] }, { a: 0, b: { c: '' } }));
+		assert.ok(!tools.matches({ a: '1' }, { a: 0 }));
+		assert.ok(tools.matches({ list: [{ a: 1 }, { a: 2 }] }, { list: [{ a: 0 }] }));
+		assert.ok(!tools.matches({ list: [{ a: 1 }, { a: 'x' }] }, { list: [{ a: 0 }] }));
+	});
+
+	it('maps the values of nested objects in place', () => {
+		const obj = { a: 1, b: { c: 2, d: [3] } };
+		tools.mapObjectValues(obj, (key, val) => val * 10);
+		assert.deepStrictEqual(obj, { a: 10, b: { c: 20, d: [30] } });
+	});
+
+	it('evaluates typed properties of node configs against the message', () => {
+		const RED = createRED();
+		const config = { text: { type: 'msg', value: 'payload.text' }, list: [{ type: 'json', value: '[1,2]' }], plain: 'x' };
+		const evaluated = tools.nodeEvaluateProperties(RED, {}, { payload: { text: 'hello' } }, config);
+		assert.deepStrictEqual(evaluated, { text: 'hello', list: [[1, 2]], plain: 'x' });
+	});
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AlexaRemoteExt = require('../lib/alexa-remote-ext.js');
+
+function createAlexa(routines) {
+	// no need to connect to describe the routines that are already loaded
+	const alexa = Object.create(AlexaRemoteExt.prototype);
+	alexa.routineByIdExt = new Map(routines.map(o => [o.automationId, o]));
+	alexa.routineByUtteranceExt = new Map();
+	alexa.smarthomeSimplifiedByEntityIdExt = new Map();
+	alexa.find = () => undefined;
+	return alexa;
+}
+
+const sequence = (type, operationPayload) => ({
+	'@type': 'com.amazon.alexa.behaviors.model.Sequence',
+	startNode: { '@type': 'com.amazon.alexa.behaviors.model.OpaquePayloadOperationNode', type: type, operationPayload: operationPayload },
+});
+
+describe('describing routines', () => {
+	const morning = {
+		automationId: 'amzn1.alexa.automation.1',
+		name: 'Good Morning',
+		triggers: [{ type: 'CustomUtterance', payload: { utterance: 'good morning' } }],
+		sequence: sequence('Alexa.Speak', { deviceSerialNumber: 'ALEXA_CURRENT_DSN', textToSpeak: 'Good morning' }),
+	};
+	const broken = {
+		automationId: 'amzn1.alexa.automation.2',
+		name: 'Lights Off',
+		triggers: [],
+		sequence: sequence('Alexa.SmartHome.Batch', { target: 'entity', operations: {} }),
+	};
+	const sunset = {
+		automationId: 'amzn1.alexa.automation.3',
+		triggers: [{ type: 'Alexa.Trigger.SunsetSchedule', payload: {} }],
+		sequence: sequence('Alexa.System.Wait', { waitTimeInSeconds: 5 }),
+	};
+	let count = 0;
+	const trigger = (type, fields) => ({
+		automationId: `amzn1.alexa.automation.trigger.${++count}`,
+		triggers: [Object.assign({ type: type, payload: {} }, fields)],
+		sequence: sequence('Alexa.System.Wait', { waitTimeInSeconds: 5 }),
+	});
+
+	it('falls back to the name or id for routines that cannot be described', () => {
+		const described = createAlexa([morning, broken, sunset]).describeRoutinesExt();
+		assert.strictEqual(described.length, 3);
+		assert.deepStrictEqual(described[0].trigger, { type: 'CustomUtterance', kind: 'utterance', text: 'When you say "good morning"' });
+		assert.deepStrictEqual(described[0].actions, ['Speak "Good morning" on the echo that was spoken to']);
+		assert.deepStrictEqual(described[1].trigger, { type: null, kind: 'other', text: 'Lights Off' });
+		assert.deepStrictEqual(described[1].actions, []);
+	});
+
+	it('describes sunrise and sunset with their offset', () => {
+		const described = createAlexa([
+			sunset,
+			trigger('Alexa.Trigger.SolarSchedule', { schedule: { solarEvent: 'SUNRISE', offsetInMinutes: -30, recurrence: 'FREQ=WEEKLY;BYDAY=SA,SU;INTERVAL=1;' } }),
+			trigger('Alexa.Trigger.SunsetSchedule', { payload: { offsetInMinutes: 15 } }),
+		]).describeRoutinesExt();
+		assert.deepStrictEqual(described.map(o => o.trigger.kind), ['solar', 'solar', 'solar']);
+		assert.deepStrictEqual(described.map(o => o.trigger.text), ['At sunset', '30 minutes before sunrise on weekends', '15 minutes after sunset']);
+		assert.deepStrictEqual(described[0].actions, ['Wait 5 seconds']);
+	});
+
+	it('describes location triggers with their place', () => {
+		const described = createAlexa([
+			trigger('Alexa.Trigger.Geofence', { payload: { locationName: 'Home', transitionType: 'EXIT' } }),
+			trigger('Alexa.Trigger.Geofence', { payload: { locationName: 'Work', transitionType: 'ENTER' } }),
+		]).describeRoutinesExt();
+		assert.deepStrictEqual(described.map(o => o.trigger.text), ['When you leave Home', 'When you arrive at Work']);
+	});
+
+	it('describes triggers by their type only when the payload has no details', () => {
+		const described = createAlexa([trigger('Alexa.Trigger.SolarSchedule'), trigger('Alexa.Trigger.Geofence')]).describeRoutinesExt();
+		assert.deepStrictEqual(described.map(o => o.trigger), [
+			{ type: 'Alexa.Trigger.SolarSchedule', kind: 'solar', text: 'Solar Schedule' },
+			{ type: 'Alexa.Trigger.Geofence', kind: 'location', text: 'Geofence' },
+		]);
+	});
+});
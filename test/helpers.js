@@ -0,0 +1,84 @@
+const EventEmitter = require('events');
+const SpeechQueue = require('../lib/speech-queue.js');
+
+// just enough of the node-red runtime to load our nodes and send messages through them
+function createRED(account) {
+	const RED = {
+		types: {},
+		util: {
+			getMessageProperty: (msg, property) => property.split('.').reduce((o, key) => o === undefined || o === null ? undefined : o[key], msg),
+			evaluateNodeProperty: (value, type, node, msg) => {
+				switch (type) {
+					case 'msg': return RED.util.getMessageProperty(msg, value);
+					case 'json': return JSON.parse(value);
+					default: return value;
+				}
+			},
+			cloneMessage: (msg) => JSON.parse(JSON.stringify(msg)),
+		},
+		nodes: {
+			createNode: (node) => {
+				const emitter = new EventEmitter();
+				node.on = (event, listener) => emitter.on(event, listener.bind(node));
+				node.emit = emitter.emit.bind(emitter);
+				node.status = (status) => node.lastStatus = status;
+				node.warnings = [];
+				node.warn = (message) => node.warnings.push(message);
+				node.error = () => {};
+				node.log = () => {};
+				node.debug = () => {};
+			},
+			getNode: () => account,
+			registerType: (type, constructor) => RED.types[type] = constructor,
+		},
+	};
+	return RED;
+}
+
+function createAccount(alexa, options = {}) {
+	return Object.assign({
+		state: { code: 'READY' },
+		emitter: new EventEmitter(),
+		speechQueue: new SpeechQueue(),
+		quietHours: { action: 'off' },
+		locale: 'en-US',
+		alexa: alexa,
+	}, options);
+}
+
+function createDevice(serialNumber, name, options = {}) {
+	return Object.assign({
+		serialNumber: serialNumber,
+		deviceType: 'A3S5BH2HU6VAYF',
+		accountName: name,
+		deviceFamily: 'ECHO',
+		deviceOwnerCustomerId: 'CUSTOMER',
+		clusterMembers: [],
+		online: true,
+	}, options);
+}
+
+// creates a node of the type, sends msg into it and resolves with the first message it sends
+function runNode(RED, type, config, msg = {}) {
+	return new Promise((resolve, reject) => {
+		const node = {};
+		RED.types[type].call(node, Object.assign({ account: 'account' }, config));
+		node.send = (msg) => resolve(Object.assign(msg, { warnings: node.warnings }));
+		node.error = (message) => reject(new Error(message));
+		node.emit('input', msg);
+	});
+}
+
+// "hh:mm" of the local time minutes from now
+function clockTime(minutes) {
+	const date = new Date(Date.now() + minutes * 60 * 1000);
+	return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+module.exports = {
+	createRED: createRED,
+	createAccount: createAccount,
+	createDevice: createDevice,
+	runNode: runNode,
+	clockTime: clockTime,
+};
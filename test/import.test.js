@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AlexaRemoteExt = require('../lib/alexa-remote-ext.js');
+const { createRED, createAccount, createDevice, runNode } = require('./helpers.js');
+
+const kitchen = createDevice('G090LF1234567890', 'Kitchen');
+
+// a routine as alexa returns it, acting on the echo it was triggered on
+const routine = {
+	automationId: 'amzn1.alexa.automation.1234',
+	name: 'Good Morning',
+	triggers: [{ type: 'Alexa.Trigger.CustomUtterance', payload: { utterance: 'good morning' } }],
+	sequence: {
+		'@type': 'com.amazon.alexa.behaviors.model.Sequence',
+		startNode: {
+			'@type': 'com.amazon.alexa.behaviors.model.SerialNode',
+			nodesToExecute: [{
+				'@type': 'com.amazon.alexa.behaviors.model.OpaquePayloadOperationNode',
+				type: 'Alexa.Speak',
+				operationPayload: {
+					deviceType: 'ALEXA_CURRENT_DEVICE_TYPE',
+					deviceSerialNumber: 'ALEXA_CURRENT_DSN',
+					locale: 'ALEXA_CURRENT_LOCALE',
+					customerId: 'CUSTOMER',
+					textToSpeak: 'Good morning',
+				},
+			}, {
+				'@type': 'com.amazon.alexa.behaviors.model.OpaquePayloadOperationNode',
+				type: 'Alexa.Weather.Play',
+				operationPayload: {
+					deviceType: 'ALEXA_CURRENT_DEVICE_TYPE',
+					deviceSerialNumber: 'ALEXA_CURRENT_DSN',
+					locale: 'ALEXA_CURRENT_LOCALE',
+					customerId: 'CUSTOMER',
+				},
+			}],
+		},
+	},
+};
+
+function createAlexa(calls) {
+	// no need to connect, only what importing and sending a routine touches
+	const alexa = Object.create(AlexaRemoteExt.prototype);
+	alexa.ownerCustomerId = 'CUSTOMER';
+	alexa.deviceByIdExt = new Map([[kitchen.serialNumber, kitchen]]);
+	alexa.routineByIdExt = new Map([[routine.automationId, routine]]);
+	alexa.routineByUtteranceExt = new Map();
+	alexa.find = (id) => typeof id === 'object' ? id : alexa.deviceByIdExt.get(id);
+	alexa.findLastActiveExt = () => Promise.reject(new Error('no voice activity'));
+	alexa.updateRoutineExt = (id, native) => (calls.update = native, Promise.resolve({}));
+	alexa.sendSequenceNodeExt = (native) => (calls.send = native, Promise.resolve({}));
+	return alexa;
+}
+
+function runImported(alexa, action) {
+	const RED = createRED(createAccount(alexa));
+	require('../nodes/alexa-remote-routine.js')(RED);
+	const config = { routineNode: { type: 'custom', payload: { type: 'msg', value: 'payload' } }, action: action };
+	return runNode(RED, 'alexa-remote-routine', config, { payload: alexa.importRoutineExt(routine.automationId) });
+}
+
+function operationPayloads(native) {
+	return native.nodesToExecute.map(o => o.operationPayload);
+}
+
+describe('imported routines', () => {
+	it('keep the echo that was spoken to when saved back', async () => {
+		const calls = {};
+		const alexa = createAlexa(calls);
+		const imported = alexa.importRoutineExt(routine.automationId);
+		assert.deepStrictEqual(imported.payload.children[0].payload.devices, ['ALEXA_CURRENT_DSN']);
+
+		await runImported(alexa, { option: 'update', value: { routine: routine.automationId } });
+		for (const payload of operationPayloads(calls.update)) {
+			assert.strictEqual(payload.deviceSerialNumber, 'ALEXA_CURRENT_DSN');
+			assert.strictEqual(payload.deviceType, 'ALEXA_CURRENT_DEVICE_TYPE');
+		}
+	});
+
+	it('run on the primary echo when executed without voice activity', async () => {
+		const calls = {};
+		await runImported(createAlexa(calls), { option: 'execute' });
+		for (const payload of operationPayloads(calls.send)) {
+			assert.strictEqual(payload.deviceSerialNumber, kitchen.serialNumber);
+			assert.strictEqual(payload.deviceType, kitchen.deviceType);
+			assert.strictEqual(payload.locale, 'en-US');
+		}
+	});
+});
@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AlexaRemoteExt = require('../lib/alexa-remote-ext.js');
+const { createRED, createAccount } = require('./helpers.js');
+
+function createAlexa(sent) {
+	// no need to connect, only what snoozing touches
+	const alexa = Object.create(AlexaRemoteExt.prototype);
+	const device = { serialNumber: 'G090LF1234567890', deviceType: 'A3S5BH2HU6VAYF', deviceOwnerCustomerId: 'CUSTOMER', clusterMembers: [] };
+	alexa.notificationReceivedTimeExt = new WeakMap();
+	alexa.deviceByIdExt = new Map([[device.serialNumber, device]]);
+	alexa.find = (id) => alexa.deviceByIdExt.get(id);
+	alexa.sendSequenceNodeExt = (native) => (sent.push(native.type), Promise.resolve({}));
+	alexa.putNotificationExt = (changed) => (sent.push('PUT'), Promise.resolve(changed));
+	return alexa;
+}
+
+const alarm = (minutesAgo) => ({
+	notificationIndex: 'index',
+	type: 'Alarm',
+	status: 'ON',
+	deviceSerialNumber: 'G090LF1234567890',
+	alarmTime: Date.now() - minutesAgo * 60 * 1000,
+});
+
+describe('ringing notifications', () => {
+	it('are ringing only shortly after their trigger time', () => {
+		const alexa = createAlexa([]);
+		assert.ok(alexa.isNotificationRingingExt(alarm(1)));
+		assert.ok(!alexa.isNotificationRingingExt(alarm(-1)));
+		assert.ok(!alexa.isNotificationRingingExt(alarm(60 * 24)));
+	});
+
+	it('are stopped before snoozing them', async () => {
+		const sent = [];
+		await createAlexa(sent).snoozeNotificationExt(alarm(1));
+		assert.deepStrictEqual(sent, ['Alexa.DeviceControls.Stop', 'PUT']);
+	});
+
+	it('do not stop the echo once they are long past', async () => {
+		const sent = [];
+		await createAlexa(sent).snoozeNotificationExt(alarm(60 * 24));
+		assert.deepStrictEqual(sent, ['PUT']);
+	});
+});
+
+describe('recurring notifications', () => {
+	const alexa = createAlexa([]);
+	const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+	// friday the 16th at 07:00
+	const recurring = (fields) => Object.assign({ notificationIndex: 'index', type: 'Alarm', status: 'ON', alarmTime: at(16, 7) }, fields);
+
+	it('ring next on the following day of their rule', () => {
+		const weekdays = recurring({ rRuleData: { recurrenceRules: ['FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=7;BYMINUTE=0;BYSECOND=0;INTERVAL=1;'] } });
+		assert.strictEqual(alexa.getNextNotificationTriggerTimeExt(weekdays, at(16, 7)), at(19, 7));
+		assert.strictEqual(alexa.getNextNotificationTriggerTimeExt(recurring({ recurringPattern: 'P1D' }), at(16, 7)), at(17, 7));
+		assert.strictEqual(alexa.getNextNotificationTriggerTimeExt(recurring({ recurringPattern: 'XXXX-WE' }), at(16, 7)), at(17, 7));
+		assert.strictEqual(alexa.getNextNotificationTriggerTimeExt(recurring({ recurringPattern: 'XXXX-WXX-3' }), at(16, 7)), at(21, 7));
+	});
+
+	it('do not ring again once they are one-off or off', () => {
+		assert.strictEqual(alexa.getNextNotificationTriggerTimeExt(recurring({}), at(16, 7)), null);
+		assert.strictEqual(alexa.getNextNotificationTriggerTimeExt(recurring({ recurringPattern: 'P1D', status: 'OFF' }), at(16, 7)), null);
+	});
+
+	it('are reported as ringing every time they ring', (t) => {
+		t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: at(16, 6, 59) });
+		alexa.notificationByIdExt = new Map([['index', recurring({ recurringPattern: 'XXXX-WD' })]]);
+		alexa.addListener = alexa.removeListener = () => {};
+
+		const RED = createRED(createAccount(alexa));
+		require('../nodes/alexa-remote-notification.js')(RED);
+		const node = {};
+		RED.types['alexa-remote-notification'].call(node, { account: 'account' });
+		const rung = [];
+		node.send = (msg) => rung.push(msg.topic === 'ringing' && Date.now());
+
+		t.mock.timers.tick(60 * 1000);
+		assert.deepStrictEqual(rung, [at(16, 7)]);
+		t.mock.timers.tick(at(19, 7) - at(16, 7));
+		assert.deepStrictEqual(rung, [at(16, 7), at(19, 7)]);
+		node.emit('close');
+	});
+});
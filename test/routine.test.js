@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createRED, createAccount, createDevice, runNode, clockTime } = require('./helpers.js');
+
+const kitchen = createDevice('G090LF1234567890', 'Kitchen');
+
+function createAlexa() {
+	return {
+		ownerCustomerId: 'CUSTOMER',
+		find: (id) => typeof id === 'object' ? id : id === kitchen.serialNumber || id === kitchen.accountName ? kitchen : undefined,
+	};
+}
+
+function dryRun(routineNode, account) {
+	const RED = createRED(account);
+	require('../nodes/alexa-remote-routine.js')(RED);
+	return runNode(RED, 'alexa-remote-routine', { routineNode: routineNode, action: { option: 'dryRun' } });
+}
+
+// collects the operation nodes of a native sequence
+function operations(native, found = []) {
+	if (!native) return found;
+	if (native.startNode) return operations(native.startNode, found);
+	if (Array.isArray(native.nodesToExecute)) {
+		for (const child of native.nodesToExecute) operations(child, found);
+		return found;
+	}
+	found.push(native);
+	return found;
+}
+
+describe('routine node', () => {
+	describe('long speech during quiet hours', () => {
+		const text = Array.from({ length: 20 }, (_, i) => `This is sentence number ${i + 1} of a very long text.`).join(' ');
+		const speak = {
+			type: 'speak',
+			payload: {
+				type: { type: 'str', value: 'regular' },
+				text: { type: 'str', value: text },
+				devices: [{ type: 'str', value: kitchen.serialNumber }],
+			}
+		};
+		const quiet = (action) => createAccount(createAlexa(), { quietHours: { start: clockTime(0), end: clockTime(120), action: action } });
+
+		it('is split into several speak operations outside of quiet hours', async () => {
+			const msg = await dryRun(speak, createAccount(createAlexa()));
+			const speaks = operations(msg.payload.sequence).filter(o => o.type === 'Alexa.Speak');
+			assert.ok(speaks.length > 1);
+			assert.strictEqual(speaks.map(o => o.operationPayload.textToSpeak).join(' '), text);
+		});
+
+		it('is sent as a single push notification', async () => {
+			const msg = await dryRun(speak, quiet('push'));
+			const nodes = operations(msg.payload.sequence);
+			assert.strictEqual(nodes.length, 1);
+			assert.strictEqual(nodes[0].type, 'Alexa.Notifications.SendMobilePush');
+			assert.strictEqual(nodes[0].operationPayload.notificationMessage, text);
+			assert.strictEqual(msg.payload.warnings.length, 1);
+		});
+
+		it('warns once that the volume of all devices can not be lowered', async () => {
+			const announcement = { type: 'speak', payload: { type: { type: 'str', value: 'announcement' }, text: { type: 'str', value: text } } };
+			const msg = await dryRun(announcement, quiet('lower'));
+			assert.ok(operations(msg.payload.sequence).length > 1);
+			assert.strictEqual(msg.payload.warnings.length, 1);
+		});
+
+		it('is dropped with a single warning', async () => {
+			const msg = await dryRun(speak, quiet('drop'));
+			assert.strictEqual(msg.payload.sequence, null);
+			assert.strictEqual(msg.payload.warnings.filter(warning => warning.includes('dropped')).length, 1);
+		});
+	});
+
+	describe('quiet hours delay', () => {
+		it('delays only the steps for quiet devices', async () => {
+			const account = createAccount(createAlexa(), { quietHours: { start: clockTime(0), end: clockTime(120), action: 'delay' } });
+			const msg = await dryRun({
+				type: 'node',
+				payload: {
+					type: { type: 'str', value: 'serial' },
+					children: [
+						{ type: 'speak', payload: { type: { type: 'str', value: 'regular' }, text: { type: 'str', value: 'good night' }, devices: [{ type: 'str', value: kitchen.serialNumber }] } },
+						{ type: 'pushNotification', payload: { text: { type: 'str', value: 'lights off' } } },
+					]
+				}
+			}, account);
+
+			assert.deepStrictEqual(operations(msg.payload.sequence).map(o => o.type), ['Alexa.Notifications.SendMobilePush']);
+			assert.deepStrictEqual(operations(msg.payload.delayed).map(o => o.type), ['Alexa.Speak']);
+		});
+	});
+
+	describe('repeat', () => {
+		const repeat = (count) => ({
+			type: 'repeat',
+			payload: {
+				count: count,
+				wait: { type: 'num', value: '2' },
+				children: [{ type: 'pushNotification', payload: { text: { type: 'str', value: 'again' } } }],
+			}
+		});
+
+		it('runs the children count times with a wait between', async () => {
+			const msg = await dryRun(repeat({ type: 'num', value: '3' }), createAccount(createAlexa()));
+			assert.deepStrictEqual(operations(msg.payload.sequence).map(o => o.type), [
+				'Alexa.Notifications.SendMobilePush', 'Alexa.System.Wait',
+				'Alexa.Notifications.SendMobilePush', 'Alexa.System.Wait',
+				'Alexa.Notifications.SendMobilePush',
+			]);
+		});
+
+		it('rejects counts that are not positive or too large', async () => {
+			await assert.rejects(dryRun(repeat({ type: 'num', value: '0' }), createAccount(createAlexa())));
+			await assert.rejects(dryRun(repeat({ type: 'num', value: '1.5' }), createAccount(createAlexa())));
+			await assert.rejects(dryRun(repeat({ type: 'num', value: '100000' }), createAccount(createAlexa())), /repeat count 100000 is more than 50/);
+		});
+	});
+});
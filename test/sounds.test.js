@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AlexaRemoteExt = require('../lib/alexa-remote-ext.js');
+
+function createAlexa() {
+	// no need to connect to look up sounds
+	const alexa = Object.create(AlexaRemoteExt.prototype);
+	alexa.operationsExt = { operations: [], prompts: [], phrases: [], sounds: [] };
+	return alexa;
+}
+
+describe('routine sounds', () => {
+	const alexa = createAlexa();
+
+	it('finds sounds by id and name', () => {
+		assert.strictEqual(alexa.findRoutineSoundExt('zap_01'), 'zap_01');
+		assert.strictEqual(alexa.findRoutineSoundExt('Zap'), 'zap_01');
+		assert.strictEqual(alexa.findRoutineSoundExt('doorbell 3'), 'amzn_sfx_doorbell_chime_02');
+	});
+
+	it('finds sounds by a unique start or part of the name', () => {
+		assert.strictEqual(alexa.findRoutineSoundExt('lion'), 'amzn_sfx_lion_roar_02');
+		assert.strictEqual(alexa.findRoutineSoundExt('roar'), 'amzn_sfx_lion_roar_02');
+		assert.strictEqual(alexa.findRoutineSoundExt('engines'), 'amzn_sfx_scifi_engines_on_02');
+	});
+
+	it('forgives a typo even in short names', () => {
+		assert.strictEqual(alexa.findRoutineSoundExt('Zapp'), 'zap_01');
+		assert.strictEqual(alexa.findRoutineSoundExt('lion rar'), 'amzn_sfx_lion_roar_02');
+	});
+
+	it('uses unknown ids as they are', () => {
+		assert.strictEqual(alexa.findRoutineSoundExt('amzn_sfx_unknown_01'), 'amzn_sfx_unknown_01');
+		// close to the id or name of known sounds but not one of them
+		assert.strictEqual(alexa.findRoutineSoundExt('boing_02'), 'boing_02');
+		assert.strictEqual(alexa.findRoutineSoundExt('amzn_sfx_doorbell_02'), 'amzn_sfx_doorbell_02');
+	});
+
+	it('suggests the closest sounds if the name is ambiguous or unknown', () => {
+		assert.throws(() => alexa.findRoutineSoundExt('door'), /did you mean "Doorbell 1" \(amzn_sfx_doorbell_01\), "Doorbell 2"/);
+		assert.throws(() => alexa.findRoutineSoundExt('lino'), /did you mean "Lion roar"/);
+		assert.throws(() => alexa.findRoutineSoundExt(''), /sound not found/);
+	});
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const SpeechQueue = require('../lib/speech-queue.js');
+
+describe('speech queue', () => {
+	it('stops the devices an interrupting sequence cuts off before sending it', async () => {
+		const calls = [];
+		const queue = new SpeechQueue(async (serials) => calls.push(`stop ${serials.join(',')}`));
+
+		await queue.enqueue(['KITCHEN'], 60000, async () => calls.push('first'));
+		await queue.enqueue(['BEDROOM'], 60000, async () => calls.push('other'));
+		await queue.enqueue(['KITCHEN'], 1000, async () => calls.push('urgent'), 'interrupt');
+		queue.clear();
+
+		assert.deepStrictEqual(calls, ['first', 'other', 'stop KITCHEN', 'urgent']);
+	});
+
+	it('does not stop anything for high priority sequences', async () => {
+		const calls = [];
+		const queue = new SpeechQueue(async (serials) => calls.push(`stop ${serials.join(',')}`));
+
+		await queue.enqueue(['KITCHEN'], 10, async () => calls.push('first'));
+		await queue.enqueue(['KITCHEN'], 10, async () => calls.push('high'), 'high');
+		queue.clear();
+
+		assert.deepStrictEqual(calls, ['first', 'high']);
+	});
+
+	it('sends the sequence even if stopping fails', async () => {
+		const queue = new SpeechQueue(async () => { throw new Error('offline'); });
+
+		await queue.enqueue(['KITCHEN'], 60000, async () => 'first');
+		const result = await queue.enqueue(['KITCHEN'], 1000, async () => 'urgent', 'interrupt');
+		queue.clear();
+
+		assert.strictEqual(result, 'urgent');
+	});
+});
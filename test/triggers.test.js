@@ -0,0 +1,25 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const AlexaRemoteExt = require('../lib/alexa-remote-ext.js');
+
+function createAlexa() {
+	// no need to connect to build triggers
+	const alexa = Object.create(AlexaRemoteExt.prototype);
+	alexa.ownerCustomerId = 'CUSTOMER';
+	return alexa;
+}
+
+describe('routine triggers', () => {
+	const alexa = createAlexa();
+
+	it('schedules at the time of day with the recurrence rule', () => {
+		const trigger = alexa.nativizeRoutineTriggerExt({ type: 'schedule', time: '07:30', recurrence: 'weekdays' });
+		assert.strictEqual(trigger.type, 'AbsoluteTimeSchedule');
+		assert.strictEqual(trigger.schedule.triggerTime, '073000');
+		assert.strictEqual(trigger.schedule.recurrence, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;INTERVAL=1;');
+	});
+
+	it('rejects schedules without a recurrence', () => {
+		assert.throws(() => alexa.nativizeRoutineTriggerExt({ type: 'schedule', time: '07:30', recurrence: 'never' }), /schedule triggers need a recurrence/);
+	});
+});